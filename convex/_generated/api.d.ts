@@ -8,7 +8,9 @@
  * @module
  */
 
+import type * as access from "../access.js";
 import type * as cronJobs from "../cronJobs.js";
+import type * as devices from "../devices.js";
 import type * as files from "../files.js";
 import type * as messages from "../messages.js";
 import type * as pairing from "../pairing.js";
@@ -22,7 +24,9 @@ import type {
 } from "convex/server";
 
 declare const fullApi: ApiFromModules<{
+  access: typeof access;
   cronJobs: typeof cronJobs;
+  devices: typeof devices;
   files: typeof files;
   messages: typeof messages;
   pairing: typeof pairing;
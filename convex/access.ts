@@ -0,0 +1,73 @@
+import { QueryCtx } from "./_generated/server";
+import { v } from "convex/values";
+
+// Credentials accepted by queries that both the relay and the app read
+export const readerArgs = {
+  relaySecret: v.optional(v.string()),
+  deviceId: v.optional(v.string()),
+  deviceToken: v.optional(v.string()),
+};
+
+export function randomSecret() {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function sha256Hex(text: string) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Relay-side calls present the instance secret minted by createPairingCode
+export async function requireRelay(ctx: QueryCtx, instanceId: string, relaySecret: string) {
+  const instance = await ctx.db
+    .query("instances")
+    .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
+    .first();
+
+  if (!instance?.relaySecretHash || instance.relaySecretHash !== (await sha256Hex(relaySecret))) {
+    throw new Error("Invalid relay credentials");
+  }
+  return instance;
+}
+
+// App-side calls present the device token returned by claimPairingCode
+export async function requireDevice(
+  ctx: QueryCtx,
+  instanceId: string,
+  deviceId: string,
+  deviceToken: string
+) {
+  const device = await ctx.db
+    .query("devices")
+    .withIndex("by_deviceId", (q) => q.eq("deviceId", deviceId))
+    .first();
+
+  if (!device || device.instanceId !== instanceId) {
+    throw new Error("Device not paired to this instance");
+  }
+  if (device.revokedAt) {
+    throw new Error("Device has been revoked");
+  }
+  if (!device.tokenHash || device.tokenHash !== (await sha256Hex(deviceToken))) {
+    throw new Error("Invalid device credentials");
+  }
+  return device;
+}
+
+export async function requireReader(
+  ctx: QueryCtx,
+  instanceId: string,
+  { relaySecret, deviceId, deviceToken }: { relaySecret?: string; deviceId?: string; deviceToken?: string }
+) {
+  if (relaySecret) {
+    await requireRelay(ctx, instanceId, relaySecret);
+    return;
+  }
+  if (deviceId && deviceToken) {
+    await requireDevice(ctx, instanceId, deviceId, deviceToken);
+    return;
+  }
+  throw new Error("Missing credentials");
+}
@@ -1,5 +1,6 @@
-import { mutation, query } from "./_generated/server";
+import { mutation, MutationCtx, query } from "./_generated/server";
 import { v } from "convex/values";
+import { readerArgs, requireDevice, requireReader, requireRelay } from "./access";
 
 const jobValidator = v.object({
   id: v.string(),
@@ -21,12 +22,77 @@ const jobValidator = v.object({
   deliveryMode: v.optional(v.string()),
 });
 
+type Job = typeof jobValidator.type;
+
+const RUNS_PER_JOB = 50; // older runs are pruned as new ones arrive
+const ALERTS_PER_INSTANCE = 100;
+
+// Record a job's latest run if lastRunAt moved past the newest stored run
+async function recordRun(ctx: MutationCtx, instanceId: string, job: Job) {
+  if (!job.lastRunAt || !job.lastStatus) return;
+
+  const recent = await ctx.db
+    .query("cronRuns")
+    .withIndex("by_job", (q) => q.eq("instanceId", instanceId).eq("jobId", job.id))
+    .order("desc")
+    .take(RUNS_PER_JOB);
+  if (recent[0] && recent[0].runAt >= job.lastRunAt) return;
+
+  await ctx.db.insert("cronRuns", {
+    instanceId,
+    jobId: job.id,
+    runAt: job.lastRunAt,
+    status: job.lastStatus,
+    ...(job.lastDurationMs !== undefined ? { durationMs: job.lastDurationMs } : {}),
+    ...(job.lastError ? { error: job.lastError } : {}),
+  });
+
+  // Retention: keep the newest RUNS_PER_JOB, counting the one just added
+  for (const old of recent.slice(RUNS_PER_JOB - 1)) {
+    await ctx.db.delete(old._id);
+  }
+
+  if (job.lastStatus !== "error") return;
+
+  let consecutiveFailures = 1;
+  for (const run of recent) {
+    if (run.status !== "error") break;
+    consecutiveFailures += 1;
+  }
+
+  await ctx.db.insert("cronAlerts", {
+    instanceId,
+    jobId: job.id,
+    ...(job.name ? { jobName: job.name } : {}),
+    runAt: job.lastRunAt,
+    ...(job.lastError ? { error: job.lastError } : {}),
+    consecutiveFailures,
+    createdAt: Date.now(),
+  });
+
+  const alerts = await ctx.db
+    .query("cronAlerts")
+    .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
+    .order("desc")
+    .collect();
+  for (const old of alerts.slice(ALERTS_PER_INSTANCE)) {
+    await ctx.db.delete(old._id);
+  }
+}
+
 export const sync = mutation({
   args: {
     instanceId: v.string(),
+    relaySecret: v.string(),
     jobs: v.array(jobValidator),
   },
-  handler: async (ctx, { instanceId, jobs }) => {
+  handler: async (ctx, { instanceId, relaySecret, jobs }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
+    for (const job of jobs) {
+      await recordRun(ctx, instanceId, job);
+    }
+
     const existing = await ctx.db
       .query("cronJobs")
       .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
@@ -42,13 +108,25 @@ export const sync = mutation({
 
 // --- Toggle actions (app → relay → gateway) ---
 
+// Gateway job ids are uuids; anything else (or a leading "-") never reaches the CLI
+const JOB_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,127}$/;
+
+function assertJobId(jobId: string) {
+  if (!JOB_ID_PATTERN.test(jobId)) throw new Error(`Invalid job id "${jobId.slice(0, 40)}"`);
+}
+
 export const requestToggle = mutation({
   args: {
     instanceId: v.string(),
+    deviceId: v.string(),
+    deviceToken: v.string(),
     jobId: v.string(),
     enable: v.boolean(),
   },
-  handler: async (ctx, { instanceId, jobId, enable }) => {
+  handler: async (ctx, { instanceId, deviceId, deviceToken, jobId, enable }) => {
+    await requireDevice(ctx, instanceId, deviceId, deviceToken);
+    assertJobId(jobId);
+
     await ctx.db.insert("cronActions", {
       instanceId,
       jobId,
@@ -59,17 +137,127 @@ export const requestToggle = mutation({
   },
 });
 
+const jobParamsValidator = v.object({
+  name: v.optional(v.string()),
+  scheduleKind: v.optional(v.union(v.literal("cron"), v.literal("every"), v.literal("at"))),
+  scheduleExpr: v.optional(v.string()),
+  scheduleTz: v.optional(v.string()),
+  scheduleEveryMs: v.optional(v.number()),
+  scheduleAt: v.optional(v.number()),
+  sessionTarget: v.optional(v.union(v.literal("main"), v.literal("isolated"))),
+  payloadText: v.optional(v.string()),
+});
+
+type JobParams = typeof jobParamsValidator.type;
+
+// Field ranges for minute, hour, day of month, month, day of week (optional leading seconds)
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+const SECONDS_FIELD = { name: "second", min: 0, max: 59 };
+
+function cronValue(text: string, field: { min: number; names?: string[] }) {
+  const named = field.names?.indexOf(text.toLowerCase()) ?? -1;
+  if (named !== -1) return named + field.min;
+  return /^\d+$/.test(text) ? Number(text) : NaN;
+}
+
+// Throws with the offending field so the app can show what's wrong
+function validateCronExpr(expr: string) {
+  const parts = expr.trim().split(/\s+/);
+  if (parts.length !== 5 && parts.length !== 6) {
+    throw new Error(`Cron expression needs 5 fields (or 6 with seconds), got ${parts.length}`);
+  }
+  const fields = parts.length === 6 ? [SECONDS_FIELD, ...CRON_FIELDS] : CRON_FIELDS;
+
+  parts.forEach((part, i) => {
+    const field = fields[i];
+    for (const item of part.split(",")) {
+      const [range, step, extra] = item.split("/");
+      if (extra !== undefined || (step !== undefined && !/^[1-9]\d*$/.test(step))) {
+        throw new Error(`Invalid step in ${field.name} field: "${item}"`);
+      }
+      if (range === "*" || (range === "?" && (field.name === "day of month" || field.name === "day of week"))) continue;
+
+      const bounds = range.split("-");
+      if (bounds.length > 2) throw new Error(`Invalid range in ${field.name} field: "${item}"`);
+      const values = bounds.map((b) => cronValue(b, field));
+      for (const value of values) {
+        if (!Number.isInteger(value) || value < field.min || value > field.max) {
+          throw new Error(`Value out of range in ${field.name} field: "${item}" (${field.min}-${field.max})`);
+        }
+      }
+      if (values.length === 2 && values[0] > values[1]) {
+        throw new Error(`Range runs backwards in ${field.name} field: "${item}"`);
+      }
+    }
+  });
+}
+
+function validateJobParams(params: JobParams, creating: boolean) {
+  if (params.scheduleTz) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: params.scheduleTz });
+    } catch {
+      throw new Error(`Unknown timezone "${params.scheduleTz}"`);
+    }
+  }
+  if (params.scheduleExpr !== undefined) validateCronExpr(params.scheduleExpr);
+  if (params.scheduleEveryMs !== undefined && !(params.scheduleEveryMs >= 60_000)) {
+    throw new Error("Interval must be at least one minute");
+  }
+  if (params.payloadText !== undefined && !params.payloadText.trim()) {
+    throw new Error("Job prompt can't be empty");
+  }
+
+  const kind = params.scheduleKind;
+  if (kind === "cron" && !params.scheduleExpr) throw new Error("Cron schedule needs scheduleExpr");
+  if (kind === "every" && !params.scheduleEveryMs) throw new Error("Interval schedule needs scheduleEveryMs");
+  if (kind === "at" && !params.scheduleAt) throw new Error("One-shot schedule needs scheduleAt");
+
+  if (creating) {
+    if (!kind) throw new Error("New jobs need a scheduleKind");
+    if (!params.payloadText) throw new Error("New jobs need payloadText");
+  } else if (Object.values(params).every((value) => value === undefined)) {
+    throw new Error("Nothing to update");
+  }
+}
+
 export const requestAction = mutation({
   args: {
     instanceId: v.string(),
-    jobId: v.string(),
-    action: v.string(), // "enable" | "disable" | "run" | "remove"
+    deviceId: v.string(),
+    deviceToken: v.string(),
+    jobId: v.optional(v.string()), // required except for create
+    action: v.union(
+      v.literal("enable"),
+      v.literal("disable"),
+      v.literal("run"),
+      v.literal("remove"),
+      v.literal("create"),
+      v.literal("update")
+    ),
+    params: v.optional(jobParamsValidator), // create/update
   },
-  handler: async (ctx, { instanceId, jobId, action }) => {
-    await ctx.db.insert("cronActions", {
+  handler: async (ctx, { instanceId, deviceId, deviceToken, jobId, action, params }) => {
+    await requireDevice(ctx, instanceId, deviceId, deviceToken);
+
+    if (action !== "create" && !jobId) throw new Error(`${action} needs a jobId`);
+    if (jobId) assertJobId(jobId);
+    if (action === "create" || action === "update") {
+      if (!params) throw new Error(`${action} needs params`);
+      validateJobParams(params, action === "create");
+    }
+
+    return await ctx.db.insert("cronActions", {
       instanceId,
-      jobId,
+      jobId: jobId ?? "",
       action,
+      ...(params && (action === "create" || action === "update") ? { params } : {}),
       status: "pending",
       createdAt: Date.now(),
     });
@@ -77,8 +265,10 @@ export const requestAction = mutation({
 });
 
 export const getPendingActions = query({
-  args: { instanceId: v.string() },
-  handler: async (ctx, { instanceId }) => {
+  args: { instanceId: v.string(), relaySecret: v.string() },
+  handler: async (ctx, { instanceId, relaySecret }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
     return await ctx.db
       .query("cronActions")
       .withIndex("by_instanceId_status", (q) =>
@@ -90,11 +280,18 @@ export const getPendingActions = query({
 
 export const completeAction = mutation({
   args: {
+    instanceId: v.string(),
+    relaySecret: v.string(),
     actionId: v.id("cronActions"),
     status: v.string(),
     error: v.optional(v.string()),
   },
-  handler: async (ctx, { actionId, status, error }) => {
+  handler: async (ctx, { instanceId, relaySecret, actionId, status, error }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
+    const action = await ctx.db.get(actionId);
+    if (action?.instanceId !== instanceId) return;
+
     await ctx.db.patch(actionId, {
       status,
       error,
@@ -104,8 +301,10 @@ export const completeAction = mutation({
 });
 
 export const get = query({
-  args: { instanceId: v.string() },
-  handler: async (ctx, { instanceId }) => {
+  args: { instanceId: v.string(), ...readerArgs },
+  handler: async (ctx, { instanceId, ...creds }) => {
+    await requireReader(ctx, instanceId, creds);
+
     const doc = await ctx.db
       .query("cronJobs")
       .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
@@ -114,3 +313,49 @@ export const get = query({
     return doc?.jobs ?? [];
   },
 });
+
+// Run history for one job, newest first
+export const getRuns = query({
+  args: { instanceId: v.string(), jobId: v.string(), limit: v.optional(v.number()), ...readerArgs },
+  handler: async (ctx, { instanceId, jobId, limit, ...creds }) => {
+    await requireReader(ctx, instanceId, creds);
+
+    return await ctx.db
+      .query("cronRuns")
+      .withIndex("by_job", (q) => q.eq("instanceId", instanceId).eq("jobId", jobId))
+      .order("desc")
+      .take(Math.min(limit ?? 20, RUNS_PER_JOB));
+  },
+});
+
+export const getAlerts = query({
+  args: { instanceId: v.string(), includeAcknowledged: v.optional(v.boolean()), ...readerArgs },
+  handler: async (ctx, { instanceId, includeAcknowledged, ...creds }) => {
+    await requireReader(ctx, instanceId, creds);
+
+    const alerts = await ctx.db
+      .query("cronAlerts")
+      .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
+      .order("desc")
+      .collect();
+
+    return includeAcknowledged ? alerts : alerts.filter((a) => !a.acknowledgedAt);
+  },
+});
+
+export const acknowledgeAlert = mutation({
+  args: {
+    instanceId: v.string(),
+    deviceId: v.string(),
+    deviceToken: v.string(),
+    alertId: v.id("cronAlerts"),
+  },
+  handler: async (ctx, { instanceId, deviceId, deviceToken, alertId }) => {
+    await requireDevice(ctx, instanceId, deviceId, deviceToken);
+
+    const alert = await ctx.db.get(alertId);
+    if (alert?.instanceId !== instanceId) throw new Error("Alert not found");
+
+    await ctx.db.patch(alertId, { acknowledgedAt: Date.now() });
+  },
+});
@@ -0,0 +1,114 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { readerArgs, requireDevice, requireReader, requireRelay } from "./access";
+
+// List devices paired to an instance (used by the app and `devices.mjs`)
+export const list = query({
+  args: {
+    instanceId: v.string(),
+    includeRevoked: v.optional(v.boolean()),
+    ...readerArgs,
+  },
+  handler: async (ctx, { instanceId, includeRevoked, ...creds }) => {
+    await requireReader(ctx, instanceId, creds);
+
+    const devices = await ctx.db
+      .query("devices")
+      .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
+      .collect();
+
+    // Never hand out token hashes or wrapped keys
+    return devices
+      .filter((d) => includeRevoked || !d.revokedAt)
+      .map((d) => ({
+        deviceId: d.deviceId,
+        name: d.name,
+        platform: d.platform,
+        pairedAt: d.pairedAt,
+        lastSeenAt: d.lastSeenAt,
+        revokedAt: d.revokedAt,
+        e2eReady: Boolean(d.wrappedKey),
+      }));
+  },
+});
+
+// Rename a paired device
+export const rename = mutation({
+  args: {
+    instanceId: v.string(),
+    targetDeviceId: v.string(),
+    name: v.string(),
+    ...readerArgs,
+  },
+  handler: async (ctx, { instanceId, targetDeviceId, name, ...creds }) => {
+    await requireReader(ctx, instanceId, creds);
+
+    const trimmed = name.trim();
+    if (!trimmed) throw new Error("Device name cannot be empty");
+
+    const device = await ctx.db
+      .query("devices")
+      .withIndex("by_deviceId", (q) => q.eq("deviceId", targetDeviceId))
+      .first();
+    if (!device || device.instanceId !== instanceId) throw new Error("Device not found");
+
+    await ctx.db.patch(device._id, { name: trimmed.slice(0, 100) });
+  },
+});
+
+// Unpair a device (e.g. a lost phone). Its token and wrapped keys are dropped, so it
+// can't read or send anything until it pairs again with a fresh code, and the relay
+// rotates the content key so the device can't read anything sealed from now on.
+// The relay (the instance owner) can revoke any device; a device only itself.
+export const revoke = mutation({
+  args: {
+    instanceId: v.string(),
+    targetDeviceId: v.string(),
+    ...readerArgs,
+  },
+  handler: async (ctx, { instanceId, targetDeviceId, ...creds }) => {
+    if (creds.relaySecret) {
+      await requireRelay(ctx, instanceId, creds.relaySecret);
+    } else if (creds.deviceId && creds.deviceToken) {
+      await requireDevice(ctx, instanceId, creds.deviceId, creds.deviceToken);
+      if (creds.deviceId !== targetDeviceId) throw new Error("Only the relay can revoke other devices");
+    } else {
+      throw new Error("Missing credentials");
+    }
+
+    const device = await ctx.db
+      .query("devices")
+      .withIndex("by_deviceId", (q) => q.eq("deviceId", targetDeviceId))
+      .first();
+    if (!device || device.instanceId !== instanceId) throw new Error("Device not found");
+    if (device.revokedAt) return;
+
+    await ctx.db.patch(device._id, {
+      revokedAt: Date.now(),
+      tokenHash: undefined,
+      wrappedKey: undefined,
+      wrappedPreviousKeys: undefined,
+    });
+
+    const instance = await ctx.db
+      .query("instances")
+      .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
+      .first();
+    if (instance?.relayPublicKey && !instance.contentKeyRotationRequestedAt) {
+      await ctx.db.patch(instance._id, { contentKeyRotationRequestedAt: Date.now() });
+    }
+  },
+});
+
+// App reports it's active (queries can't write, so lastSeenAt is bumped here and on send)
+export const touch = mutation({
+  args: {
+    instanceId: v.string(),
+    deviceId: v.string(),
+    deviceToken: v.string(),
+  },
+  handler: async (ctx, { instanceId, deviceId, deviceToken }) => {
+    const device = await requireDevice(ctx, instanceId, deviceId, deviceToken);
+    await ctx.db.patch(device._id, { lastSeenAt: Date.now() });
+  },
+});
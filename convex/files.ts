@@ -1,18 +1,56 @@
-import { mutation, query } from "./_generated/server";
+import { mutation, MutationCtx, query } from "./_generated/server";
+import { Id } from "./_generated/dataModel";
 import { v } from "convex/values";
+import { readerArgs, requireReader } from "./access";
 
 // Generate an upload URL for the client to upload a file directly
 export const generateUploadUrl = mutation({
-  args: {},
-  handler: async (ctx) => {
+  args: { instanceId: v.string(), ...readerArgs },
+  handler: async (ctx, { instanceId, ...creds }) => {
+    await requireReader(ctx, instanceId, creds);
+
     return await ctx.storage.generateUploadUrl();
   },
 });
 
 // Get a public URL for a stored file
 export const getUrl = query({
-  args: { storageId: v.id("_storage") },
-  handler: async (ctx, { storageId }) => {
+  args: { instanceId: v.string(), storageId: v.id("_storage"), ...readerArgs },
+  handler: async (ctx, { instanceId, storageId, ...creds }) => {
+    await requireReader(ctx, instanceId, creds);
+
+    const owner = await ctx.db
+      .query("fileOwners")
+      .withIndex("by_storageId", (q) => q.eq("storageId", storageId))
+      .first();
+    if (owner?.instanceId !== instanceId) throw new Error("File not found");
+
     return await ctx.storage.getUrl(storageId);
   },
 });
+
+// Uploads belong to the instance whose message first references them; a
+// message can't take over a file another instance already uses
+export async function claimFiles(ctx: MutationCtx, instanceId: string, storageIds: (string | undefined)[]) {
+  for (const storageId of storageIds) {
+    if (!storageId) continue;
+    const owner = await ctx.db
+      .query("fileOwners")
+      .withIndex("by_storageId", (q) => q.eq("storageId", storageId))
+      .first();
+    if (owner && owner.instanceId !== instanceId) throw new Error("File belongs to another instance");
+    if (!owner) await ctx.db.insert("fileOwners", { storageId, instanceId, createdAt: Date.now() });
+  }
+}
+
+// Delete a stored file unless another instance owns it
+export async function releaseFile(ctx: MutationCtx, instanceId: string, storageId: string) {
+  const owner = await ctx.db
+    .query("fileOwners")
+    .withIndex("by_storageId", (q) => q.eq("storageId", storageId))
+    .first();
+  if (owner && owner.instanceId !== instanceId) return;
+
+  if (owner) await ctx.db.delete(owner._id);
+  await ctx.storage.delete(storageId as Id<"_storage">);
+}
@@ -1,5 +1,166 @@
-import { mutation, query } from "./_generated/server";
+import { mutation, MutationCtx, query, QueryCtx } from "./_generated/server";
+import { Doc, Id } from "./_generated/dataModel";
 import { v } from "convex/values";
+import { readerArgs, requireDevice, requireReader, requireRelay } from "./access";
+import { claimFiles, releaseFile } from "./files";
+
+const E2E_PREFIX = "e2e1:";
+
+const roleValidator = v.union(
+  v.literal("user"),
+  v.literal("assistant"),
+  v.literal("system"),
+  v.literal("tool")
+);
+
+// Text and tool steps of a gateway message; the app pairs toolCall/toolResult by toolCallId
+const partValidator = v.object({
+  type: v.union(v.literal("text"), v.literal("toolCall"), v.literal("toolResult")),
+  text: v.optional(v.string()),
+  toolCallId: v.optional(v.string()),
+  toolName: v.optional(v.string()),
+  arguments: v.optional(v.string()),
+  result: v.optional(v.string()),
+  isError: v.optional(v.boolean()),
+  truncated: v.optional(v.boolean()),
+});
+
+// Marks a message whose full body lives in file storage (content is only a prefix)
+const overflowValidator = v.object({
+  storageId: v.string(),
+  length: v.number(),
+  encrypted: v.optional(v.boolean()),
+});
+
+const attachmentValidator = v.object({
+  type: v.string(),
+  storageId: v.optional(v.string()),
+  url: v.optional(v.string()),
+  mimeType: v.optional(v.string()),
+  filename: v.optional(v.string()),
+  size: v.optional(v.number()),
+  encrypted: v.optional(v.boolean()),
+});
+
+const deliveryValidator = v.union(
+  v.literal("queued"),
+  v.literal("sent"),
+  v.literal("running"),
+  v.literal("completed"),
+  v.literal("failed")
+);
+
+type Part = typeof partValidator.type;
+type Attachment = typeof attachmentValidator.type;
+type Delivery = typeof deliveryValidator.type;
+
+// Run events can land before the relay records chat.send's runId; never move backwards
+const DELIVERY_RANK: Record<Delivery, number> = { queued: 0, sent: 1, running: 2, completed: 3, failed: 3 };
+
+// Once the relay has registered an e2e key, message text must arrive sealed
+function assertSealed(instance: Doc<"instances"> | null, texts: (string | undefined)[], parts?: Part[]) {
+  if (!instance?.relayPublicKey) return;
+
+  const all = [...texts, ...(parts ?? []).flatMap((p) => [p.text, p.arguments, p.result])];
+  for (const text of all) {
+    if (text && !text.startsWith(E2E_PREFIX)) {
+      throw new Error("Message content must be end-to-end encrypted for this instance");
+    }
+  }
+}
+
+// What the relay can hand to the agent from the app: images, audio notes,
+// text-like files (inlined) and PDFs
+const MAX_ATTACHMENTS = 10;
+const ATTACHMENT_MAX_BYTES = 20 * 1024 * 1024;
+const SUPPORTED_MIME = [/^image\//, /^audio\//, /^text\//, /^application\/(pdf|json|xml|x-yaml|yaml|javascript)$/];
+
+async function assertAttachmentsSupported(ctx: MutationCtx, attachments: Attachment[]) {
+  if (attachments.length > MAX_ATTACHMENTS) {
+    throw new Error(`At most ${MAX_ATTACHMENTS} attachments per message`);
+  }
+
+  for (const a of attachments) {
+    const name = a.filename && !a.filename.startsWith(E2E_PREFIX) ? `"${a.filename}"` : "Attachment";
+    if (!["image", "audio", "file"].includes(a.type)) {
+      throw new Error(`${name}: unsupported attachment type "${a.type}"`);
+    }
+    const mimeType = a.mimeType ?? (a.type === "image" ? "image/jpeg" : undefined);
+    if (!mimeType) {
+      throw new Error(`${name}: missing MIME type`);
+    }
+    if (!SUPPORTED_MIME.some((re) => re.test(mimeType.toLowerCase()))) {
+      throw new Error(`${name}: ${mimeType} files are not supported (images, audio, text and PDF only)`);
+    }
+    // The relay only downloads from file storage, never from an arbitrary URL
+    if (!a.storageId) {
+      throw new Error(`${name}: missing storageId (upload it with files:generateUploadUrl)`);
+    }
+
+    // Sealed uploads are base64 envelopes, about 4/3 of the original size
+    const stored = a.storageId ? await ctx.db.system.get(a.storageId as Id<"_storage">) : null;
+    const storedSize = stored ? (a.encrypted ? Math.floor((stored.size * 3) / 4) : stored.size) : 0;
+    const size = Math.max(a.size ?? 0, storedSize);
+    if (size > ATTACHMENT_MAX_BYTES) {
+      throw new Error(`${name}: ${Math.ceil(size / 1024 / 1024)} MB exceeds the ${ATTACHMENT_MAX_BYTES / 1024 / 1024} MB limit`);
+    }
+  }
+}
+
+// Drop stored files the relay uploaded for a message that won't keep them
+async function deleteUploads(
+  ctx: MutationCtx,
+  instanceId: string,
+  attachments: Attachment[] | undefined,
+  keep: Attachment[] = []
+) {
+  const kept = new Set(keep.map((a) => a.storageId));
+  for (const a of attachments ?? []) {
+    if (a.storageId && !kept.has(a.storageId)) await releaseFile(ctx, instanceId, a.storageId);
+  }
+}
+
+// Files a message body and its attachments keep in storage
+function messageFiles(contentOverflow?: { storageId: string }, attachments?: Attachment[]) {
+  return [contentOverflow?.storageId, ...(attachments ?? []).map((a) => a.storageId)];
+}
+
+// Reflect a run's progress on the app message that started it. Returns false
+// when no app message has recorded the run (yet).
+async function setRunDelivery(
+  ctx: MutationCtx,
+  instanceId: string,
+  runId: string,
+  delivery: Delivery,
+  deliveryError?: string
+) {
+  const message = await ctx.db
+    .query("messages")
+    .withIndex("by_deliveryRunId", (q) => q.eq("instanceId", instanceId).eq("deliveryRunId", runId))
+    .first();
+  if (!message) return false;
+  if (message.delivery && DELIVERY_RANK[message.delivery] >= DELIVERY_RANK[delivery]) return true;
+
+  await ctx.db.patch(message._id, { delivery, deliveryError });
+  return true;
+}
+
+// A failed run nobody has reported yet: chat.send's response may still be on its
+// way, or the run didn't come from the app at all
+async function recordRunError(ctx: MutationCtx, instanceId: string, sessionKey: string, runId: string, error: string) {
+  const existing = await ctx.db
+    .query("runErrors")
+    .withIndex("by_runId", (q) => q.eq("instanceId", instanceId).eq("runId", runId))
+    .first();
+  if (existing) return;
+
+  await ctx.db.insert("runErrors", { instanceId, sessionKey, runId, error, createdAt: Date.now() });
+}
+
+// Plaintext bodies can be previewed server-side; sealed ones need a sealed preview from the sender
+function previewFor(content: string, encrypted: boolean | undefined, preview: string | undefined) {
+  return encrypted ? preview : content.slice(0, 100);
+}
 
 // Send a message from FastClaw app → OpenClaw
 export const sendFromApp = mutation({
@@ -8,24 +169,24 @@ export const sendFromApp = mutation({
     sessionKey: v.string(),
     content: v.string(),
     deviceId: v.string(),
-    attachments: v.optional(v.array(v.object({
-      type: v.string(),
-      storageId: v.optional(v.string()),
-      url: v.optional(v.string()),
-      mimeType: v.optional(v.string()),
-      filename: v.optional(v.string()),
-    }))),
-  },
-  handler: async (ctx, { instanceId, sessionKey, content, deviceId, attachments }) => {
+    deviceToken: v.string(),
+    attachments: v.optional(v.array(attachmentValidator)),
+    encrypted: v.optional(v.boolean()),
+    preview: v.optional(v.string()), // sealed preview when encrypted
+    contentOverflow: v.optional(overflowValidator),
+  },
+  handler: async (ctx, { instanceId, sessionKey, content, deviceId, deviceToken, attachments, encrypted, preview, contentOverflow }) => {
     // Verify device is paired to this instance
-    const device = await ctx.db
-      .query("devices")
-      .withIndex("by_deviceId", (q) => q.eq("deviceId", deviceId))
-      .first();
+    const device = await requireDevice(ctx, instanceId, deviceId, deviceToken);
+    await ctx.db.patch(device._id, { lastSeenAt: Date.now() });
 
-    if (!device || device.instanceId !== instanceId) {
-      throw new Error("Device not paired to this instance");
-    }
+    const instance = await ctx.db
+      .query("instances")
+      .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
+      .first();
+    assertSealed(instance, [content, preview]);
+    if (attachments) await assertAttachmentsSupported(ctx, attachments);
+    await claimFiles(ctx, instanceId, messageFiles(contentOverflow, attachments));
 
     const messageId = await ctx.db.insert("messages", {
       instanceId,
@@ -35,8 +196,15 @@ export const sendFromApp = mutation({
       timestamp: Date.now(),
       source: "fastclaw",
       synced: false,
+      delivery: "queued",
       ...(attachments ? { attachments } : {}),
+      ...(encrypted ? { encrypted } : {}),
+      ...(contentOverflow ? { contentOverflow } : {}),
     });
+    // The relay passes the message id to chat.send as its idempotencyKey
+    await ctx.db.patch(messageId, { messageKey: `idem:${messageId}` });
+
+    const lastMessagePreview = previewFor(content, encrypted, preview);
 
     // Update session preview
     const session = await ctx.db
@@ -48,7 +216,7 @@ export const sendFromApp = mutation({
 
     if (session) {
       await ctx.db.patch(session._id, {
-        lastMessagePreview: content.slice(0, 100),
+        ...(lastMessagePreview !== undefined ? { lastMessagePreview } : {}),
         updatedAt: Date.now(),
       });
     }
@@ -57,52 +225,508 @@ export const sendFromApp = mutation({
   },
 });
 
+const gatewayMessageFields = {
+  sessionKey: v.string(),
+  messageKey: v.optional(v.string()), // "idem:<idempotencyKey>" | "id:<gateway id>" | "run:<runId>"
+  aliasKeys: v.optional(v.array(v.string())), // the message's other keys, recorded in messageKeys
+  role: roleValidator,
+  content: v.string(),
+  timestamp: v.number(),
+  parts: v.optional(v.array(partValidator)),
+  encrypted: v.optional(v.boolean()),
+  digest: v.optional(v.string()),
+  preview: v.optional(v.string()),
+  contentOverflow: v.optional(overflowValidator),
+  attachments: v.optional(v.array(attachmentValidator)), // agent media already in file storage
+};
+
+const gatewayMessageValidator = v.object(gatewayMessageFields);
+type GatewayMessage = typeof gatewayMessageValidator.type;
+
+// The same message can reach Convex as a live reply, from chat.history and as the
+// echo of an app message, each carrying some of its keys (idempotency key, gateway
+// id, runId). A message matches a stored one on any shared key; every key seen is
+// recorded so later copies match too. chat.history entries often carry no key at
+// all, so without a shared key the role and content (or digest, under e2e) decide
+// within DEDUPE_WINDOW_MS, as long as the keys on both sides can't tell the two
+// apart. Two keyless messages only match on the exact timestamp, so repeated short
+// replies stay distinct.
+const DEDUPE_WINDOW_MS = 10 * 60 * 1000;
+
+type Candidate = {
+  sessionKey: string;
+  role: Doc<"messages">["role"];
+  content: string;
+  timestamp: number;
+  digest?: string;
+  messageKey?: string;
+  aliasKeys?: string[];
+};
+
+function candidateKeys(m: { messageKey?: string; aliasKeys?: string[] }) {
+  return [...new Set([m.messageKey, ...(m.aliasKeys ?? [])].filter((k): k is string => Boolean(k)))];
+}
+
+// "run:abc" → "run"
+function keyKind(messageKey: string) {
+  return messageKey.slice(0, messageKey.indexOf(":"));
+}
+
+async function storedKeys(ctx: QueryCtx, message: Doc<"messages">) {
+  const aliases = await ctx.db
+    .query("messageKeys")
+    .withIndex("by_messageId", (q) => q.eq("messageId", message._id))
+    .collect();
+  return candidateKeys({ messageKey: message.messageKey, aliasKeys: aliases.map((a) => a.messageKey) });
+}
+
+async function findStoredMessage(ctx: QueryCtx, instanceId: string, m: Candidate) {
+  const keys = candidateKeys(m);
+  for (const messageKey of keys) {
+    const byKey = await ctx.db
+      .query("messages")
+      .withIndex("by_messageKey", (q) =>
+        q.eq("instanceId", instanceId).eq("sessionKey", m.sessionKey).eq("messageKey", messageKey)
+      )
+      .first();
+    if (byKey) return byKey;
+
+    const alias = await ctx.db
+      .query("messageKeys")
+      .withIndex("by_messageKey", (q) =>
+        q.eq("instanceId", instanceId).eq("sessionKey", m.sessionKey).eq("messageKey", messageKey)
+      )
+      .first();
+    const aliased = alias ? await ctx.db.get(alias.messageId) : null;
+    if (aliased) return aliased;
+  }
+
+  const nearby = await ctx.db
+    .query("messages")
+    .withIndex("by_session", (q) =>
+      q
+        .eq("instanceId", instanceId)
+        .eq("sessionKey", m.sessionKey)
+        .gte("timestamp", m.timestamp - DEDUPE_WINDOW_MS)
+        .lte("timestamp", m.timestamp + DEDUPE_WINDOW_MS)
+    )
+    .collect();
+
+  // Sealed content differs on every push, so compare digests when the relay sends one
+  const sameContent = nearby
+    .filter(
+      (e) =>
+        !e.streaming &&
+        e.role === m.role &&
+        (m.digest ? e.digest === m.digest : e.content === m.content) &&
+        (keys.length > 0 || e.messageKey || e.timestamp === m.timestamp)
+    )
+    .sort((a, b) => Math.abs(a.timestamp - m.timestamp) - Math.abs(b.timestamp - m.timestamp));
+  if (keys.length === 0) return sameContent[0] ?? null;
+
+  // No key is shared, so two keys of the same kind mean two different messages
+  // (two runs, two app sends)
+  const kinds = new Set(keys.map(keyKind));
+  for (const e of sameContent) {
+    const existing = await storedKeys(ctx, e);
+    if (!existing.some((k) => kinds.has(keyKind(k)))) return e;
+  }
+  return null;
+}
+
+// Remember every key a copy of a stored message came with. The first becomes
+// messages.messageKey; the rest go to messageKeys.
+async function recordMessageKeys(
+  ctx: MutationCtx,
+  message: Pick<Doc<"messages">, "_id" | "instanceId" | "sessionKey" | "messageKey">,
+  keys: string[]
+) {
+  let primary = message.messageKey;
+  for (const messageKey of keys) {
+    if (messageKey === primary) continue;
+    if (!primary) {
+      primary = messageKey;
+      await ctx.db.patch(message._id, { messageKey });
+      continue;
+    }
+
+    const existing = await ctx.db
+      .query("messageKeys")
+      .withIndex("by_messageKey", (q) =>
+        q.eq("instanceId", message.instanceId).eq("sessionKey", message.sessionKey).eq("messageKey", messageKey)
+      )
+      .first();
+    if (!existing) {
+      await ctx.db.insert("messageKeys", {
+        instanceId: message.instanceId,
+        sessionKey: message.sessionKey,
+        messageKey,
+        messageId: message._id,
+      });
+    }
+  }
+}
+
+// Delete a message along with its alias keys
+export async function deleteMessage(ctx: MutationCtx, messageId: Id<"messages">) {
+  const aliases = await ctx.db
+    .query("messageKeys")
+    .withIndex("by_messageId", (q) => q.eq("messageId", messageId))
+    .collect();
+  for (const alias of aliases) await ctx.db.delete(alias._id);
+  await ctx.db.delete(messageId);
+}
+
+// Insert one gateway message unless it's already stored. `touches` says whether
+// it should bump the session (tool steps and tool-only turns don't).
+async function insertGatewayMessage(ctx: MutationCtx, instanceId: string, m: GatewayMessage) {
+  const existing = await findStoredMessage(ctx, instanceId, m);
+  if (existing) {
+    // Skip duplicate; drop the body and media the relay uploaded for it
+    if (m.contentOverflow) await releaseFile(ctx, instanceId, m.contentOverflow.storageId);
+    await deleteUploads(ctx, instanceId, m.attachments);
+    await recordMessageKeys(ctx, existing, candidateKeys(m));
+    return { inserted: false, touches: false };
+  }
+
+  const keys = candidateKeys(m);
+  await claimFiles(ctx, instanceId, messageFiles(m.contentOverflow, m.attachments));
+  const messageId = await ctx.db.insert("messages", {
+    instanceId,
+    sessionKey: m.sessionKey,
+    role: m.role,
+    content: m.content,
+    timestamp: m.timestamp,
+    source: "gateway",
+    synced: true,
+    ...(keys.length > 0 ? { messageKey: keys[0] } : {}),
+    ...(m.parts ? { parts: m.parts } : {}),
+    ...(m.encrypted ? { encrypted: m.encrypted } : {}),
+    ...(m.digest ? { digest: m.digest } : {}),
+    ...(m.contentOverflow ? { contentOverflow: m.contentOverflow } : {}),
+    ...(m.attachments ? { attachments: m.attachments } : {}),
+  });
+  await recordMessageKeys(ctx, { _id: messageId, instanceId, sessionKey: m.sessionKey, messageKey: keys[0] }, keys);
+
+  // Tool steps and tool-only turns don't make a useful preview
+  if (m.role === "tool" || !m.content.trim()) return { inserted: true, touches: false };
+  return { inserted: true, touches: true, preview: previewFor(m.content, m.encrypted, m.preview) };
+}
+
+async function touchSession(ctx: MutationCtx, instanceId: string, sessionKey: string, lastMessagePreview?: string) {
+  const session = await ctx.db
+    .query("sessions")
+    .withIndex("by_instanceId_sessionKey", (q) =>
+      q.eq("instanceId", instanceId).eq("sessionKey", sessionKey)
+    )
+    .first();
+
+  if (session) {
+    await ctx.db.patch(session._id, {
+      ...(lastMessagePreview !== undefined ? { lastMessagePreview } : {}),
+      updatedAt: Date.now(),
+    });
+  }
+}
+
 // Relay pushes a message from Gateway → Convex
 export const pushFromGateway = mutation({
   args: {
     instanceId: v.string(),
+    relaySecret: v.string(),
+    ...gatewayMessageFields,
+  },
+  handler: async (ctx, { instanceId, relaySecret, ...message }) => {
+    const instance = await requireRelay(ctx, instanceId, relaySecret);
+    assertSealed(
+      instance,
+      [message.content, message.preview, ...(message.attachments ?? []).map((a) => a.filename)],
+      message.parts
+    );
+
+    const { touches, preview } = await insertGatewayMessage(ctx, instanceId, message);
+    if (touches) await touchSession(ctx, instanceId, message.sessionKey, preview);
+  },
+});
+
+// Batched pushFromGateway: messages are deduped individually and each session's
+// preview and updatedAt are written once, from its newest message
+export const pushManyFromGateway = mutation({
+  args: {
+    instanceId: v.string(),
+    relaySecret: v.string(),
+    messages: v.array(gatewayMessageValidator),
+  },
+  handler: async (ctx, { instanceId, relaySecret, messages }) => {
+    const instance = await requireRelay(ctx, instanceId, relaySecret);
+    for (const m of messages) {
+      assertSealed(instance, [m.content, m.preview, ...(m.attachments ?? []).map((a) => a.filename)], m.parts);
+    }
+
+    const touched = new Map<string, { timestamp: number; preview?: string }>();
+    let inserted = 0;
+    for (const m of [...messages].sort((a, b) => a.timestamp - b.timestamp)) {
+      const result = await insertGatewayMessage(ctx, instanceId, m);
+      if (result.inserted) inserted += 1;
+      if (!result.touches) continue;
+
+      const latest = touched.get(m.sessionKey);
+      if (!latest || m.timestamp >= latest.timestamp) {
+        touched.set(m.sessionKey, { timestamp: m.timestamp, preview: result.preview });
+      }
+    }
+
+    for (const [sessionKey, { preview }] of touched) {
+      await touchSession(ctx, instanceId, sessionKey, preview);
+    }
+    return { inserted, skipped: messages.length - inserted };
+  },
+});
+
+// Whether pushManyFromGateway would skip this message as a duplicate, so the
+// relay can skip uploading its media and overflow body
+export const isStored = query({
+  args: {
+    instanceId: v.string(),
+    relaySecret: v.string(),
+    sessionKey: v.string(),
+    role: roleValidator,
+    content: v.string(),
+    timestamp: v.number(),
+    digest: v.optional(v.string()),
+    messageKey: v.optional(v.string()),
+    aliasKeys: v.optional(v.array(v.string())),
+  },
+  handler: async (ctx, { instanceId, relaySecret, ...message }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+    return (await findStoredMessage(ctx, instanceId, message)) !== null;
+  },
+});
+
+// Relay pushes accumulated text for an assistant reply that is still streaming.
+// The first call for a runId creates the message; later calls patch it.
+export const pushStreamDelta = mutation({
+  args: {
+    instanceId: v.string(),
+    relaySecret: v.string(),
     sessionKey: v.string(),
-    role: v.union(v.literal("user"), v.literal("assistant"), v.literal("system")),
+    runId: v.string(),
     content: v.string(),
     timestamp: v.number(),
+    encrypted: v.optional(v.boolean()),
   },
-  handler: async (ctx, { instanceId, sessionKey, role, content, timestamp }) => {
-    // Deduplicate: check if a message with same session+role+timestamp already exists
+  handler: async (ctx, { instanceId, relaySecret, sessionKey, runId, content, timestamp, encrypted }) => {
+    const instance = await requireRelay(ctx, instanceId, relaySecret);
+    assertSealed(instance, [content]);
+
     const existing = await ctx.db
       .query("messages")
-      .withIndex("by_session", (q) =>
-        q.eq("instanceId", instanceId).eq("sessionKey", sessionKey).eq("timestamp", timestamp)
-      )
+      .withIndex("by_runId", (q) => q.eq("instanceId", instanceId).eq("runId", runId))
       .first();
 
-    if (existing && existing.role === role && existing.content === content) {
-      return; // Skip duplicate
+    if (existing) {
+      if (!existing.streaming) return; // Already finalized, late delta
+      await ctx.db.patch(existing._id, { content });
+      return;
     }
 
     await ctx.db.insert("messages", {
       instanceId,
       sessionKey,
-      role,
+      role: "assistant",
       content,
       timestamp,
       source: "gateway",
       synced: true,
+      runId,
+      // Lets a chat.history copy that carries the runId match while this still streams
+      messageKey: `run:${runId}`,
+      streaming: true,
+      ...(encrypted ? { encrypted } : {}),
     });
+    await setRunDelivery(ctx, instanceId, runId, "running");
 
-    // Update session
+    // Runs started outside the app (other channels) become abortable once they stream
     const session = await ctx.db
       .query("sessions")
       .withIndex("by_instanceId_sessionKey", (q) =>
         q.eq("instanceId", instanceId).eq("sessionKey", sessionKey)
       )
       .first();
+    if (session && session.activeRunId !== runId) {
+      await ctx.db.patch(session._id, { activeRunId: runId, abortRequestedAt: undefined });
+    }
+  },
+});
+
+// Relay finalizes a streamed assistant reply (inserts it if no delta was pushed).
+// `inserted` is true when this call adds the reply, not for repeats or stored copies.
+export const finalizeStream = mutation({
+  args: {
+    instanceId: v.string(),
+    relaySecret: v.string(),
+    sessionKey: v.string(),
+    runId: v.string(),
+    content: v.string(),
+    timestamp: v.number(),
+    parts: v.optional(v.array(partValidator)),
+    encrypted: v.optional(v.boolean()),
+    digest: v.optional(v.string()),
+    preview: v.optional(v.string()),
+    contentOverflow: v.optional(overflowValidator),
+    aborted: v.optional(v.boolean()), // run was cancelled; content is whatever streamed before that
+    error: v.optional(v.string()), // run failed (chat state "error"); content is the partial reply
+    attachments: v.optional(v.array(attachmentValidator)),
+    messageKey: v.optional(v.string()), // defaults to "run:<runId>"
+    aliasKeys: v.optional(v.array(v.string())),
+  },
+  handler: async (
+    ctx,
+    { instanceId, relaySecret, sessionKey, runId, content, timestamp, parts, encrypted, digest, preview, contentOverflow, aborted, error, attachments, messageKey = `run:${runId}`, aliasKeys }
+  ) => {
+    const instance = await requireRelay(ctx, instanceId, relaySecret);
+    assertSealed(instance, [content, preview, error, ...(attachments ?? []).map((a) => a.filename)], parts);
+    const reported = await setRunDelivery(ctx, instanceId, runId, error ? "failed" : "completed", error);
+    if (error && !reported) await recordRunError(ctx, instanceId, sessionKey, runId, error);
+    const keys = candidateKeys({ messageKey, aliasKeys });
+
+    const existing = await ctx.db
+      .query("messages")
+      .withIndex("by_runId", (q) => q.eq("instanceId", instanceId).eq("runId", runId))
+      .first();
+
+    const session = await ctx.db
+      .query("sessions")
+      .withIndex("by_instanceId_sessionKey", (q) =>
+        q.eq("instanceId", instanceId).eq("sessionKey", sessionKey)
+      )
+      .first();
+
+    // The run is over either way: it can no longer be aborted
+    if (session?.activeRunId === runId) {
+      await ctx.db.patch(session._id, { activeRunId: undefined, abortRequestedAt: undefined });
+    }
+
+    if (!content.trim() && !parts && !attachments) {
+      // Runs that finish without text or tool steps: drop the placeholder.
+      // A finalized message is left alone (repeated or late final with no payload).
+      if (existing?.streaming && !aborted) await deleteMessage(ctx, existing._id);
+      else if (existing && aborted) await ctx.db.patch(existing._id, { streaming: false, aborted });
+      return { inserted: false };
+    }
+
+    // Only the first final of a streamed reply adds it; a repeat just replaces the body
+    const inserted = !existing || existing.streaming === true;
+    if (existing) {
+      // A repeated final replaces the body: release the previous upload
+      const previous = existing.contentOverflow?.storageId;
+      if (previous && previous !== contentOverflow?.storageId) {
+        await releaseFile(ctx, instanceId, previous);
+      }
+      if (attachments) await deleteUploads(ctx, instanceId, existing.attachments, attachments);
+      await claimFiles(ctx, instanceId, messageFiles(contentOverflow, attachments));
+
+      await ctx.db.patch(existing._id, {
+        content,
+        streaming: false,
+        ...(parts ? { parts } : {}),
+        ...(encrypted ? { encrypted } : {}),
+        ...(digest ? { digest } : {}),
+        ...(aborted ? { aborted } : {}),
+        ...(attachments ? { attachments } : {}),
+        contentOverflow,
+      });
+      await recordMessageKeys(ctx, existing, keys);
+    } else {
+      // History sync may have stored this reply before the final event arrived
+      const stored = await findStoredMessage(ctx, instanceId, {
+        sessionKey,
+        role: "assistant",
+        content,
+        timestamp,
+        digest,
+        messageKey,
+        aliasKeys,
+      });
+      if (stored) {
+        if (contentOverflow) await releaseFile(ctx, instanceId, contentOverflow.storageId);
+        await deleteUploads(ctx, instanceId, attachments);
+        await ctx.db.patch(stored._id, { runId });
+        await recordMessageKeys(ctx, stored, keys);
+        return { inserted: false };
+      }
+
+      await claimFiles(ctx, instanceId, messageFiles(contentOverflow, attachments));
+      const messageId = await ctx.db.insert("messages", {
+        instanceId,
+        sessionKey,
+        role: "assistant",
+        content,
+        timestamp,
+        source: "gateway",
+        synced: true,
+        runId,
+        messageKey,
+        streaming: false,
+        ...(parts ? { parts } : {}),
+        ...(encrypted ? { encrypted } : {}),
+        ...(digest ? { digest } : {}),
+        ...(aborted ? { aborted } : {}),
+        ...(contentOverflow ? { contentOverflow } : {}),
+        ...(attachments ? { attachments } : {}),
+      });
+      await recordMessageKeys(ctx, { _id: messageId, instanceId, sessionKey, messageKey }, keys);
+    }
+
+    if (!content.trim()) return { inserted };
+    const lastMessagePreview = previewFor(content, encrypted, preview);
 
     if (session) {
       await ctx.db.patch(session._id, {
-        lastMessagePreview: content.slice(0, 100),
+        ...(lastMessagePreview !== undefined ? { lastMessagePreview } : {}),
         updatedAt: Date.now(),
       });
     }
+    return { inserted };
+  },
+});
+
+// Get recent errors of runs in a session that no app message reports, e.g. runs
+// started from another channel (used by FastClaw app)
+export const getRunErrors = query({
+  args: {
+    instanceId: v.string(),
+    sessionKey: v.string(),
+    limit: v.optional(v.number()),
+    ...readerArgs,
+  },
+  handler: async (ctx, { instanceId, sessionKey, limit, ...creds }) => {
+    await requireReader(ctx, instanceId, creds);
+
+    return await ctx.db
+      .query("runErrors")
+      .withIndex("by_session", (q) => q.eq("instanceId", instanceId).eq("sessionKey", sessionKey))
+      .order("desc")
+      .take(limit ?? 20);
+  },
+});
+
+// Get assistant replies still streaming in a session (used by FastClaw app for the live typing view)
+export const getStreamingMessages = query({
+  args: {
+    instanceId: v.string(),
+    sessionKey: v.string(),
+    ...readerArgs,
+  },
+  handler: async (ctx, { instanceId, sessionKey, ...creds }) => {
+    await requireReader(ctx, instanceId, creds);
+
+    return await ctx.db
+      .query("messages")
+      .withIndex("by_session_streaming", (q) =>
+        q.eq("instanceId", instanceId).eq("sessionKey", sessionKey).eq("streaming", true)
+      )
+      .collect();
   },
 });
 
@@ -112,8 +736,11 @@ export const getSessionMessages = query({
     instanceId: v.string(),
     sessionKey: v.string(),
     limit: v.optional(v.number()),
+    ...readerArgs,
   },
-  handler: async (ctx, { instanceId, sessionKey, limit }) => {
+  handler: async (ctx, { instanceId, sessionKey, limit, ...creds }) => {
+    await requireReader(ctx, instanceId, creds);
+
     const messages = await ctx.db
       .query("messages")
       .withIndex("by_session", (q) =>
@@ -122,14 +749,42 @@ export const getSessionMessages = query({
       .order("desc")
       .take(limit ?? 50);
 
-    return messages.reverse();
+    // Resolve overflow bodies and stored attachments so the app can fetch them
+    const withUrls = await Promise.all(
+      messages.map(async (m) => ({
+        ...m,
+        ...(m.contentOverflow
+          ? {
+              contentOverflow: {
+                ...m.contentOverflow,
+                url: await ctx.storage.getUrl(m.contentOverflow.storageId as Id<"_storage">),
+              },
+            }
+          : {}),
+        ...(m.attachments
+          ? {
+              attachments: await Promise.all(
+                m.attachments.map(async (a) =>
+                  a.url || !a.storageId
+                    ? a
+                    : { ...a, url: (await ctx.storage.getUrl(a.storageId as Id<"_storage">)) ?? undefined }
+                )
+              ),
+            }
+          : {}),
+      }))
+    );
+
+    return withUrls.reverse();
   },
 });
 
 // Get unsynced messages from app (relay pulls these to forward to Gateway)
 export const getUnsyncedFromApp = query({
-  args: { instanceId: v.string() },
-  handler: async (ctx, { instanceId }) => {
+  args: { instanceId: v.string(), relaySecret: v.string() },
+  handler: async (ctx, { instanceId, relaySecret }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
     return await ctx.db
       .query("messages")
       .withIndex("by_unsynced", (q) =>
@@ -139,12 +794,106 @@ export const getUnsyncedFromApp = query({
   },
 });
 
-// Mark messages as synced (after relay forwards them to Gateway)
-export const markSynced = mutation({
-  args: { messageIds: v.array(v.id("messages")) },
-  handler: async (ctx, { messageIds }) => {
-    for (const id of messageIds) {
-      await ctx.db.patch(id, { synced: true });
+// Relay reports the outcome of forwarding an app message. "queued" with
+// nextAttemptAt schedules a retry; "sent" and "failed" take it out of the queue.
+export const updateDelivery = mutation({
+  args: {
+    instanceId: v.string(),
+    relaySecret: v.string(),
+    messageId: v.id("messages"),
+    status: deliveryValidator,
+    error: v.optional(v.string()),
+    attempts: v.optional(v.number()),
+    nextAttemptAt: v.optional(v.number()),
+    runId: v.optional(v.string()),
+    digest: v.optional(v.string()), // keyed hash of what was sent, so the history echo dedupes under e2e
+  },
+  handler: async (ctx, { instanceId, relaySecret, messageId, status, error, attempts, nextAttemptAt, runId, digest }) => {
+    const instance = await requireRelay(ctx, instanceId, relaySecret);
+    // Errors can name attachments or quote the agent, so they're sealed like content
+    assertSealed(instance, [error]);
+
+    const message = await ctx.db.get(messageId);
+    if (message?.instanceId !== instanceId) throw new Error("Message not found");
+
+    let delivery = status;
+    let deliveryError = error;
+    let runFinished = false;
+    if (runId) {
+      // The run may already be streaming or done by the time chat.send's response is recorded
+      const reply = await ctx.db
+        .query("messages")
+        .withIndex("by_runId", (q) => q.eq("instanceId", instanceId).eq("runId", runId))
+        .first();
+      if (reply) {
+        runFinished = !reply.streaming;
+        delivery = reply.streaming ? "running" : "completed";
+      }
+
+      // ...or have failed already, before there was a message to report it on
+      const runError = await ctx.db
+        .query("runErrors")
+        .withIndex("by_runId", (q) => q.eq("instanceId", instanceId).eq("runId", runId))
+        .first();
+      if (runError) {
+        runFinished = true;
+        delivery = "failed";
+        deliveryError = runError.error;
+        await ctx.db.delete(runError._id);
+      }
+    }
+
+    await ctx.db.patch(messageId, {
+      delivery,
+      deliveryError,
+      deliveryAttempts: attempts ?? message.deliveryAttempts,
+      nextAttemptAt,
+      synced: status !== "queued",
+      ...(runId ? { deliveryRunId: runId } : {}),
+      ...(digest ? { digest } : {}),
+    });
+
+    if (!runId || runFinished) return;
+
+    // Lets the app cancel this turn while it runs
+    const session = await ctx.db
+      .query("sessions")
+      .withIndex("by_instanceId_sessionKey", (q) =>
+        q.eq("instanceId", instanceId).eq("sessionKey", message.sessionKey)
+      )
+      .first();
+    if (session && session.activeRunId !== runId) {
+      await ctx.db.patch(session._id, { activeRunId: runId, abortRequestedAt: undefined });
+    }
+  },
+});
+
+// App asks for a failed message to be sent again
+export const retryDelivery = mutation({
+  args: {
+    instanceId: v.string(),
+    deviceId: v.string(),
+    deviceToken: v.string(),
+    messageId: v.id("messages"),
+  },
+  handler: async (ctx, { instanceId, deviceId, deviceToken, messageId }) => {
+    await requireDevice(ctx, instanceId, deviceId, deviceToken);
+
+    const message = await ctx.db.get(messageId);
+    if (message?.instanceId !== instanceId || message.source !== "fastclaw") {
+      throw new Error("Message not found");
+    }
+    if (message.delivery !== "failed") {
+      throw new Error("Only failed messages can be retried");
     }
+
+    await ctx.db.patch(messageId, {
+      delivery: "queued",
+      deliveryError: undefined,
+      deliveryAttempts: 0,
+      nextAttemptAt: undefined,
+      deliveryRunId: undefined,
+      synced: false,
+    });
   },
 });
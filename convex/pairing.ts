@@ -1,19 +1,35 @@
 import { mutation, query } from "./_generated/server";
 import { v } from "convex/values";
+import { randomSecret, requireDevice, requireRelay, sha256Hex } from "./access";
 
 // Generate a pairing code for an OpenClaw instance
 export const createPairingCode = mutation({
   args: {
     instanceId: v.string(),
     instanceName: v.string(),
+    relayPublicKey: v.optional(v.string()),
+    relaySecret: v.optional(v.string()), // required once the instance has one
   },
-  handler: async (ctx, { instanceId, instanceName }) => {
+  handler: async (ctx, { instanceId, instanceName, relayPublicKey, relaySecret }) => {
     // Upsert instance
     const existing = await ctx.db
       .query("instances")
       .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
       .first();
 
+    // Only the relay that registered an instance may pair more devices to it
+    if (existing?.relaySecretHash) {
+      await requireRelay(ctx, instanceId, relaySecret ?? "");
+    } else if (existing) {
+      // Registered before relay secrets existed. Nothing proves who owns it, so it
+      // can't be claimed; the pair command registers the relay as a new instance.
+      throw new Error("This instance was registered before relay secrets. Run the pair command to register this relay again.");
+    }
+
+    // New instances get a secret minted once
+    const newSecret = existing ? null : randomSecret();
+    const secretFields = newSecret ? { relaySecretHash: await sha256Hex(newSecret) } : {};
+
     if (!existing) {
       await ctx.db.insert("instances", {
         instanceId,
@@ -21,12 +37,16 @@ export const createPairingCode = mutation({
         status: "online",
         lastSeenAt: Date.now(),
         createdAt: Date.now(),
+        ...(relayPublicKey ? { relayPublicKey } : {}),
+        ...secretFields,
       });
     } else {
       await ctx.db.patch(existing._id, {
         name: instanceName,
         status: "online",
         lastSeenAt: Date.now(),
+        ...(relayPublicKey ? { relayPublicKey } : {}),
+        ...secretFields,
       });
     }
 
@@ -50,7 +70,7 @@ export const createPairingCode = mutation({
       claimed: false,
     });
 
-    return { code };
+    return { code, ...(newSecret ? { relaySecret: newSecret } : {}) };
   },
 });
 
@@ -61,8 +81,9 @@ export const claimPairingCode = mutation({
     deviceId: v.string(),
     deviceName: v.string(),
     platform: v.string(),
+    publicKey: v.optional(v.string()), // device X25519 public key for e2e key exchange
   },
-  handler: async (ctx, { code, deviceId, deviceName, platform }) => {
+  handler: async (ctx, { code, deviceId, deviceName, platform, publicKey }) => {
     const pairingCode = await ctx.db
       .query("pairingCodes")
       .withIndex("by_code", (q) => q.eq("code", code))
@@ -80,13 +101,25 @@ export const claimPairingCode = mutation({
       return { success: false, error: "Code expired" };
     }
 
+    const instance = await ctx.db
+      .query("instances")
+      .withIndex("by_instanceId", (q) => q.eq("instanceId", pairingCode.instanceId))
+      .first();
+
+    if (instance?.relayPublicKey && !publicKey) {
+      return { success: false, error: "This relay requires end-to-end encryption. Update FastClaw and try again." };
+    }
+
     // Mark code as claimed
     await ctx.db.patch(pairingCode._id, {
       claimed: true,
       claimedByDeviceId: deviceId,
     });
 
-    // Register device
+    // Register device with a fresh token; the app presents it on every call
+    const deviceToken = randomSecret();
+    const tokenHash = await sha256Hex(deviceToken);
+
     const existingDevice = await ctx.db
       .query("devices")
       .withIndex("by_deviceId", (q) => q.eq("deviceId", deviceId))
@@ -97,6 +130,11 @@ export const claimPairingCode = mutation({
         instanceId: pairingCode.instanceId,
         name: deviceName,
         lastSeenAt: Date.now(),
+        // New key pair means the relay has to wrap the content key again
+        publicKey,
+        wrappedKey: undefined,
+        tokenHash,
+        revokedAt: undefined,
       });
     } else {
       await ctx.db.insert("devices", {
@@ -106,12 +144,16 @@ export const claimPairingCode = mutation({
         platform,
         pairedAt: Date.now(),
         lastSeenAt: Date.now(),
+        ...(publicKey ? { publicKey } : {}),
+        tokenHash,
       });
     }
 
     return {
       success: true,
       instanceId: pairingCode.instanceId,
+      deviceToken,
+      relayPublicKey: instance?.relayPublicKey,
     };
   },
 });
@@ -126,8 +168,105 @@ export const checkPairingStatus = query({
       .first();
 
     if (!pairingCode) return { status: "not_found" as const };
-    if (pairingCode.claimed) return { status: "claimed" as const, deviceId: pairingCode.claimedByDeviceId };
+    if (pairingCode.claimed) {
+      const device = pairingCode.claimedByDeviceId
+        ? await ctx.db
+            .query("devices")
+            .withIndex("by_deviceId", (q) => q.eq("deviceId", pairingCode.claimedByDeviceId!))
+            .first()
+        : null;
+      return {
+        status: "claimed" as const,
+        deviceId: pairingCode.claimedByDeviceId,
+        deviceName: device?.name,
+        devicePublicKey: device?.publicKey,
+      };
+    }
     if (Date.now() > pairingCode.expiresAt) return { status: "expired" as const };
     return { status: "pending" as const };
   },
 });
+
+// Devices that registered a public key but haven't received the content key yet (polled by the relay)
+export const getDevicesAwaitingKey = query({
+  args: { instanceId: v.string(), relaySecret: v.string() },
+  handler: async (ctx, { instanceId, relaySecret }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
+    const devices = await ctx.db
+      .query("devices")
+      .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
+      .collect();
+
+    return devices
+      .filter((d) => d.publicKey && !d.wrappedKey && !d.revokedAt)
+      .map((d) => ({ deviceId: d.deviceId, publicKey: d.publicKey! }));
+  },
+});
+
+// Relay stores the content key wrapped for one device
+export const setDeviceKey = mutation({
+  args: {
+    instanceId: v.string(),
+    relaySecret: v.string(),
+    deviceId: v.string(),
+    publicKey: v.string(), // the key that was wrapped for, guards against a re-pair race
+    wrappedKey: v.string(),
+    wrappedPreviousKeys: v.optional(v.array(v.string())),
+  },
+  handler: async (ctx, { instanceId, relaySecret, deviceId, publicKey, wrappedKey, wrappedPreviousKeys }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
+    const device = await ctx.db
+      .query("devices")
+      .withIndex("by_deviceId", (q) => q.eq("deviceId", deviceId))
+      .first();
+
+    if (!device || device.instanceId !== instanceId || device.publicKey !== publicKey) return;
+    await ctx.db.patch(device._id, { wrappedKey, wrappedPreviousKeys });
+  },
+});
+
+// Relay switched to a new content key: every device needs it wrapped again.
+// `requestedAt` is the request the relay acted on; a revoke after it asks again.
+export const rotateContentKey = mutation({
+  args: {
+    instanceId: v.string(),
+    relaySecret: v.string(),
+    requestedAt: v.optional(v.number()),
+  },
+  handler: async (ctx, { instanceId, relaySecret, requestedAt }) => {
+    const instance = await requireRelay(ctx, instanceId, relaySecret);
+
+    const devices = await ctx.db
+      .query("devices")
+      .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
+      .collect();
+    for (const d of devices) {
+      if (d.wrappedKey) await ctx.db.patch(d._id, { wrappedKey: undefined, wrappedPreviousKeys: undefined });
+    }
+
+    if (instance.contentKeyRotationRequestedAt === requestedAt) {
+      await ctx.db.patch(instance._id, { contentKeyRotationRequestedAt: undefined });
+    }
+  },
+});
+
+// Device fetches its wrapped content key and the relay public key to unwrap it (used by FastClaw app)
+export const getDeviceKey = query({
+  args: { instanceId: v.string(), deviceId: v.string(), deviceToken: v.string() },
+  handler: async (ctx, { instanceId, deviceId, deviceToken }) => {
+    const device = await requireDevice(ctx, instanceId, deviceId, deviceToken);
+
+    const instance = await ctx.db
+      .query("instances")
+      .withIndex("by_instanceId", (q) => q.eq("instanceId", device.instanceId))
+      .first();
+
+    return {
+      relayPublicKey: instance?.relayPublicKey ?? null,
+      wrappedKey: device.wrappedKey ?? null,
+      wrappedPreviousKeys: device.wrappedPreviousKeys ?? [],
+    };
+  },
+});
@@ -10,6 +10,13 @@ export default defineSchema({
     version: v.optional(v.string()), // OpenClaw version
     lastSeenAt: v.number(), // timestamp
     createdAt: v.number(),
+    outboxDepth: v.optional(v.number()), // relay writes waiting to reach Convex (from heartbeat)
+    // Relay X25519 public key (base64); when set, message content must be e2e-encrypted
+    relayPublicKey: v.optional(v.string()),
+    // SHA-256 of the relay secret; relay-side mutations must present the secret
+    relaySecretHash: v.optional(v.string()),
+    // Set when a device is revoked; the relay rotates the content key and clears it
+    contentKeyRotationRequestedAt: v.optional(v.number()),
     // Agent identity (from workspace IDENTITY.md)
     identity: v.optional(v.object({
       name: v.optional(v.string()),
@@ -32,6 +39,15 @@ export default defineSchema({
       }))),
       updatedAt: v.optional(v.number()),
     })),
+    // Models the gateway can switch sessions to (from models.list)
+    models: v.optional(v.array(v.object({
+      id: v.string(),
+      provider: v.optional(v.string()),
+      name: v.optional(v.string()),
+      contextWindow: v.optional(v.number()),
+      reasoning: v.optional(v.boolean()),
+    }))),
+    modelsUpdatedAt: v.optional(v.number()),
   })
     .index("by_instanceId", ["instanceId"]),
 
@@ -43,6 +59,11 @@ export default defineSchema({
     platform: v.string(), // "ios"
     pairedAt: v.number(),
     lastSeenAt: v.number(),
+    publicKey: v.optional(v.string()), // device X25519 public key (base64)
+    wrappedKey: v.optional(v.string()), // instance content key sealed for this device by the relay
+    wrappedPreviousKeys: v.optional(v.array(v.string())), // retired content keys, newest first
+    tokenHash: v.optional(v.string()), // SHA-256 of the device token issued at pairing
+    revokedAt: v.optional(v.number()), // set when unpaired; revoked devices are rejected everywhere
   })
     .index("by_instanceId", ["instanceId"])
     .index("by_deviceId", ["deviceId"]),
@@ -56,6 +77,21 @@ export default defineSchema({
     lastMessagePreview: v.string(),
     updatedAt: v.number(),
     createdAt: v.number(),
+    // History sync: newest gateway message timestamp pushed, and when the one-time full backfill finished
+    syncCursor: v.optional(v.number()),
+    backfilledAt: v.optional(v.number()),
+    // Agent run in progress (from chat.send or the first streamed delta) and a pending cancel request
+    activeRunId: v.optional(v.string()),
+    abortRequestedAt: v.optional(v.number()),
+    // Pinned from the app; overrides the gateway's isPinned (the gateway has no pin RPC)
+    pinned: v.optional(v.boolean()),
+    resetAt: v.optional(v.number()), // context cleared from the app; earlier messages are from the old transcript
+    archivedAt: v.optional(v.number()), // missing from the gateway's session list since then
+    missingSyncs: v.optional(v.number()), // consecutive full session lists without it
+    createdFromApp: v.optional(v.boolean()), // the gateway may not list it before its first message
+    // Per-session overrides reported by sessions.list ("provider/model", thinking level)
+    model: v.optional(v.string()),
+    thinkingLevel: v.optional(v.string()),
   })
     .index("by_instanceId", ["instanceId"])
     .index("by_instanceId_sessionKey", ["instanceId", "sessionKey"]),
@@ -64,24 +100,101 @@ export default defineSchema({
   messages: defineTable({
     instanceId: v.string(),
     sessionKey: v.string(),
-    role: v.union(v.literal("user"), v.literal("assistant"), v.literal("system")),
+    role: v.union(v.literal("user"), v.literal("assistant"), v.literal("system"), v.literal("tool")),
     content: v.string(),
     timestamp: v.number(),
+    // Structured content: text plus tool calls/results (optional)
+    parts: v.optional(v.array(v.object({
+      type: v.union(v.literal("text"), v.literal("toolCall"), v.literal("toolResult")),
+      text: v.optional(v.string()),
+      toolCallId: v.optional(v.string()),
+      toolName: v.optional(v.string()),
+      arguments: v.optional(v.string()), // JSON-encoded, truncated
+      result: v.optional(v.string()), // truncated
+      isError: v.optional(v.boolean()),
+      truncated: v.optional(v.boolean()),
+    }))),
     // For messages originating from FastClaw app
     source: v.union(v.literal("gateway"), v.literal("fastclaw")),
     // Track sync status
     synced: v.boolean(),
-    // Image attachments (optional)
+    // End-to-end encryption: content (and part text) are "e2e1:" envelopes
+    encrypted: v.optional(v.boolean()),
+    digest: v.optional(v.string()), // keyed hash of the plaintext, for dedupe
+    // Stable identity across the live, history and app-echo paths:
+    // "id:<gateway message id>", "run:<runId>" or "idem:<idempotencyKey>"
+    messageKey: v.optional(v.string()),
+    // Bodies too long to store inline: content holds a prefix, the full text is in file storage
+    contentOverflow: v.optional(v.object({
+      storageId: v.string(),
+      length: v.number(), // full length in characters
+      encrypted: v.optional(v.boolean()), // stored body is an e2e envelope
+    })),
+    // Image and file attachments (optional): sent from the app or produced by the agent
     attachments: v.optional(v.array(v.object({
-      type: v.string(), // "image"
+      type: v.string(), // "image" | "file"
       storageId: v.optional(v.string()), // Convex file storage ID
       url: v.optional(v.string()), // public URL after storage
       mimeType: v.optional(v.string()),
-      filename: v.optional(v.string()),
+      filename: v.optional(v.string()), // e2e envelope when encrypted
+      size: v.optional(v.number()), // bytes before sealing
+      encrypted: v.optional(v.boolean()), // stored file is an e2e envelope of the base64 bytes
     }))),
+    // Streaming assistant replies: created on the first chat delta,
+    // patched as text accumulates, cleared on final
+    runId: v.optional(v.string()),
+    streaming: v.optional(v.boolean()),
+    aborted: v.optional(v.boolean()), // run was cancelled from the app before it finished
+    // Delivery of app messages to the gateway (source: "fastclaw")
+    delivery: v.optional(v.union(
+      v.literal("queued"),
+      v.literal("sent"),
+      v.literal("running"),
+      v.literal("completed"),
+      v.literal("failed")
+    )),
+    deliveryError: v.optional(v.string()),
+    deliveryAttempts: v.optional(v.number()),
+    nextAttemptAt: v.optional(v.number()), // relay waits until then before retrying
+    deliveryRunId: v.optional(v.string()), // runId returned by chat.send
   })
     .index("by_session", ["instanceId", "sessionKey", "timestamp"])
-    .index("by_unsynced", ["instanceId", "synced"]),
+    .index("by_unsynced", ["instanceId", "synced"])
+    .index("by_runId", ["instanceId", "runId"])
+    .index("by_session_streaming", ["instanceId", "sessionKey", "streaming"])
+    .index("by_deliveryRunId", ["instanceId", "deliveryRunId"])
+    .index("by_messageKey", ["instanceId", "sessionKey", "messageKey"]),
+
+  // A message's keys besides messages.messageKey (gateway id, runId, idempotency key),
+  // so every copy of it dedupes against the stored row
+  messageKeys: defineTable({
+    instanceId: v.string(),
+    sessionKey: v.string(),
+    messageKey: v.string(),
+    messageId: v.id("messages"),
+  })
+    .index("by_messageKey", ["instanceId", "sessionKey", "messageKey"])
+    .index("by_messageId", ["messageId"]),
+
+  // Runs that failed with no app message to report it on (yet): updateDelivery
+  // applies the error once chat.send's runId arrives; the app lists the rest
+  runErrors: defineTable({
+    instanceId: v.string(),
+    sessionKey: v.string(),
+    runId: v.string(),
+    error: v.string(),
+    createdAt: v.number(),
+  })
+    .index("by_runId", ["instanceId", "runId"])
+    .index("by_session", ["instanceId", "sessionKey", "createdAt"]),
+
+  // Which instance a stored file (attachment or overflow body) belongs to
+  fileOwners: defineTable({
+    storageId: v.string(),
+    instanceId: v.string(),
+    createdAt: v.number(),
+  })
+    .index("by_storageId", ["storageId"]),
 
   // Installed skills
   skills: defineTable({
@@ -93,11 +206,35 @@ export default defineSchema({
       eligible: v.boolean(),
       source: v.string(),
       homepage: v.optional(v.string()),
+      skillKey: v.optional(v.string()), // config key for enable/disable, when it differs from name
+      disabled: v.optional(v.boolean()),
+      // Why an ineligible skill can't run
+      missing: v.optional(v.object({
+        bins: v.optional(v.array(v.string())),
+        anyBins: v.optional(v.array(v.string())),
+        env: v.optional(v.array(v.string())),
+        config: v.optional(v.array(v.string())),
+        os: v.optional(v.array(v.string())),
+      })),
     })),
     updatedAt: v.number(),
   })
     .index("by_instanceId", ["instanceId"]),
 
+  // Skill changes requested by the app, executed by the relay
+  skillActions: defineTable({
+    instanceId: v.string(),
+    action: v.string(), // "install" | "update" | "uninstall" | "enable" | "disable"
+    skill: v.string(), // ClawHub slug for install/update/uninstall, skill key for enable/disable
+    status: v.string(), // "pending" | "running" | "done" | "error"
+    error: v.optional(v.string()),
+    createdAt: v.number(),
+    startedAt: v.optional(v.number()),
+    completedAt: v.optional(v.number()),
+  })
+    .index("by_instanceId_status", ["instanceId", "status"])
+    .index("by_instanceId", ["instanceId", "createdAt"]),
+
   // Cron jobs synced from gateway
   cronJobs: defineTable({
     instanceId: v.string(),
@@ -126,9 +263,59 @@ export default defineSchema({
 
   // Pending cron actions from app → relay → gateway
   cronActions: defineTable({
+    instanceId: v.string(),
+    jobId: v.string(), // empty for "create"
+    action: v.string(), // "enable" | "disable" | "run" | "remove" | "create" | "update"
+    // Job definition for create/update; only the fields being set
+    params: v.optional(v.object({
+      name: v.optional(v.string()),
+      scheduleKind: v.optional(v.string()), // "cron" | "every" | "at"
+      scheduleExpr: v.optional(v.string()),
+      scheduleTz: v.optional(v.string()),
+      scheduleEveryMs: v.optional(v.number()),
+      scheduleAt: v.optional(v.number()),
+      sessionTarget: v.optional(v.string()), // "main" | "isolated"
+      payloadText: v.optional(v.string()),
+    })),
+    status: v.string(), // "pending" | "done" | "error"
+    error: v.optional(v.string()),
+    createdAt: v.number(),
+    completedAt: v.optional(v.number()),
+  })
+    .index("by_instanceId_status", ["instanceId", "status"]),
+
+  // Cron run history: one row per run seen in cronJobs:sync (lastRunAt advancing)
+  cronRuns: defineTable({
+    instanceId: v.string(),
+    jobId: v.string(),
+    runAt: v.number(),
+    status: v.string(), // "ok" | "error" | "skipped"
+    durationMs: v.optional(v.number()),
+    error: v.optional(v.string()),
+  })
+    .index("by_job", ["instanceId", "jobId", "runAt"]),
+
+  // Failed cron runs for the app to surface until acknowledged
+  cronAlerts: defineTable({
     instanceId: v.string(),
     jobId: v.string(),
-    action: v.string(), // "enable" | "disable"
+    jobName: v.optional(v.string()),
+    runAt: v.number(),
+    error: v.optional(v.string()),
+    consecutiveFailures: v.number(),
+    createdAt: v.number(),
+    acknowledgedAt: v.optional(v.number()),
+  })
+    .index("by_instanceId", ["instanceId", "createdAt"]),
+
+  // Pending session actions (app → relay → gateway)
+  sessionActions: defineTable({
+    instanceId: v.string(),
+    sessionKey: v.string(),
+    action: v.string(), // "create" | "rename" | "reset" | "delete" | "settings"
+    title: v.optional(v.string()), // create/rename; e2e envelope when the instance is encrypted
+    model: v.optional(v.string()), // settings
+    thinkingLevel: v.optional(v.string()), // settings
     status: v.string(), // "pending" | "done" | "error"
     error: v.optional(v.string()),
     createdAt: v.number(),
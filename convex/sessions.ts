@@ -1,10 +1,16 @@
 import { mutation, query } from "./_generated/server";
 import { v } from "convex/values";
+import { randomSecret, readerArgs, requireDevice, requireReader, requireRelay } from "./access";
+import { releaseFile } from "./files";
+import { deleteMessage } from "./messages";
+
+const NEW_SESSION_GRACE_MS = 5 * 60 * 1000;
 
 // Sync sessions from Gateway → Convex
 export const syncFromGateway = mutation({
   args: {
     instanceId: v.string(),
+    relaySecret: v.string(),
     sessions: v.array(
       v.object({
         sessionKey: v.string(),
@@ -13,10 +19,17 @@ export const syncFromGateway = mutation({
         lastMessagePreview: v.string(),
         updatedAt: v.number(),
         createdAt: v.number(),
+        model: v.optional(v.string()),
+        thinkingLevel: v.optional(v.string()),
       })
     ),
+    // `sessions` is the gateway's whole list (unpaged, unfiltered, every entry parsed):
+    // archive Convex sessions missing from it
+    complete: v.optional(v.boolean()),
   },
-  handler: async (ctx, { instanceId, sessions }) => {
+  handler: async (ctx, { instanceId, relaySecret, sessions, complete }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
     for (const session of sessions) {
       const existing = await ctx.db
         .query("sessions")
@@ -28,9 +41,13 @@ export const syncFromGateway = mutation({
       if (existing) {
         await ctx.db.patch(existing._id, {
           title: session.title,
-          isPinned: session.isPinned,
+          isPinned: existing.pinned ?? session.isPinned,
           lastMessagePreview: session.lastMessagePreview,
           updatedAt: session.updatedAt,
+          model: session.model,
+          thinkingLevel: session.thinkingLevel,
+          archivedAt: undefined,
+          missingSyncs: undefined,
         });
       } else {
         await ctx.db.insert("sessions", {
@@ -39,17 +56,344 @@ export const syncFromGateway = mutation({
         });
       }
     }
+
+    if (!complete) return { archived: [], removable: [] };
+
+    const listed = new Set(sessions.map((s) => s.sessionKey));
+    const stored = await ctx.db
+      .query("sessions")
+      .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
+      .collect();
+
+    // Sessions just created from the app may not be listed until their first message.
+    // Archiving is undone when a session reappears; only sessions missing from two
+    // lists in a row are offered for deletion.
+    const now = Date.now();
+    const archived: string[] = [];
+    const removable: string[] = [];
+    for (const session of stored) {
+      if (listed.has(session.sessionKey) || now - session.createdAt < NEW_SESSION_GRACE_MS) continue;
+      if (session.createdFromApp) {
+        const firstMessage = await ctx.db
+          .query("messages")
+          .withIndex("by_session", (q) => q.eq("instanceId", instanceId).eq("sessionKey", session.sessionKey))
+          .first();
+        if (!firstMessage) continue;
+      }
+
+      const missingSyncs = (session.missingSyncs ?? 0) + 1;
+      await ctx.db.patch(session._id, { archivedAt: session.archivedAt ?? now, missingSyncs });
+      archived.push(session.sessionKey);
+      if (missingSyncs >= 2) removable.push(session.sessionKey);
+    }
+    return { archived, removable };
+  },
+});
+
+// Relay advances a session's history sync cursor (never moves it backwards)
+export const setSyncCursor = mutation({
+  args: {
+    instanceId: v.string(),
+    relaySecret: v.string(),
+    sessionKey: v.string(),
+    cursor: v.number(),
+    backfilled: v.optional(v.boolean()),
+  },
+  handler: async (ctx, { instanceId, relaySecret, sessionKey, cursor, backfilled }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
+    const session = await ctx.db
+      .query("sessions")
+      .withIndex("by_instanceId_sessionKey", (q) =>
+        q.eq("instanceId", instanceId).eq("sessionKey", sessionKey)
+      )
+      .first();
+    if (!session) return;
+
+    await ctx.db.patch(session._id, {
+      syncCursor: Math.max(session.syncCursor ?? 0, cursor),
+      ...(backfilled ? { backfilledAt: Date.now() } : {}),
+    });
+  },
+});
+
+// App asks the relay to stop the session's running agent turn
+export const requestAbort = mutation({
+  args: {
+    instanceId: v.string(),
+    deviceId: v.string(),
+    deviceToken: v.string(),
+    sessionKey: v.string(),
+  },
+  handler: async (ctx, { instanceId, deviceId, deviceToken, sessionKey }) => {
+    await requireDevice(ctx, instanceId, deviceId, deviceToken);
+
+    const session = await ctx.db
+      .query("sessions")
+      .withIndex("by_instanceId_sessionKey", (q) =>
+        q.eq("instanceId", instanceId).eq("sessionKey", sessionKey)
+      )
+      .first();
+    if (!session?.activeRunId) return { requested: false };
+
+    await ctx.db.patch(session._id, { abortRequestedAt: Date.now() });
+    return { requested: true, runId: session.activeRunId };
+  },
+});
+
+// Sessions with a pending cancel request (relay subscribes)
+export const getAbortRequests = query({
+  args: { instanceId: v.string(), relaySecret: v.string() },
+  handler: async (ctx, { instanceId, relaySecret }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
+    const sessions = await ctx.db
+      .query("sessions")
+      .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
+      .collect();
+
+    return sessions
+      .filter((s) => s.abortRequestedAt && s.activeRunId)
+      .map((s) => ({ sessionKey: s.sessionKey, runId: s.activeRunId! }));
+  },
+});
+
+// Relay reports a handled cancel request. The run itself is cleared when its final/aborted event lands.
+export const completeAbort = mutation({
+  args: {
+    instanceId: v.string(),
+    relaySecret: v.string(),
+    sessionKey: v.string(),
+    runId: v.string(),
+    ended: v.boolean(), // gateway says the run is no longer active
+  },
+  handler: async (ctx, { instanceId, relaySecret, sessionKey, runId, ended }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
+    const session = await ctx.db
+      .query("sessions")
+      .withIndex("by_instanceId_sessionKey", (q) =>
+        q.eq("instanceId", instanceId).eq("sessionKey", sessionKey)
+      )
+      .first();
+    if (!session || session.activeRunId !== runId) return;
+
+    await ctx.db.patch(session._id, {
+      abortRequestedAt: undefined,
+      ...(ended ? { activeRunId: undefined } : {}),
+    });
+  },
+});
+
+// --- Session actions (app → relay → gateway) ---
+
+const SESSION_MESSAGES_BATCH = 500;
+const THINKING_LEVELS = ["off", "minimal", "low", "medium", "high", "xhigh"];
+
+export const requestAction = mutation({
+  args: {
+    instanceId: v.string(),
+    deviceId: v.string(),
+    deviceToken: v.string(),
+    action: v.union(
+      v.literal("create"),
+      v.literal("rename"),
+      v.literal("reset"),
+      v.literal("delete"),
+      v.literal("settings")
+    ),
+    sessionKey: v.optional(v.string()), // required except for create
+    title: v.optional(v.string()),
+    model: v.optional(v.string()), // settings: "provider/model" from instance.models
+    thinkingLevel: v.optional(v.string()), // settings: off | minimal | low | medium | high | xhigh
+  },
+  handler: async (ctx, { instanceId, deviceId, deviceToken, action, sessionKey, title, model, thinkingLevel }) => {
+    await requireDevice(ctx, instanceId, deviceId, deviceToken);
+
+    if (action === "rename" && !title?.trim()) throw new Error("Rename needs a title");
+    if (action !== "create" && !sessionKey) throw new Error(`${action} needs a sessionKey`);
+
+    const instance = await ctx.db
+      .query("instances")
+      .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
+      .first();
+    if (title && instance?.relayPublicKey && !title.startsWith("e2e1:")) {
+      throw new Error("Session title must be end-to-end encrypted for this instance");
+    }
+
+    if (action === "settings") {
+      if (!model && !thinkingLevel) throw new Error("Settings need a model or thinkingLevel");
+      if (thinkingLevel && !THINKING_LEVELS.includes(thinkingLevel)) {
+        throw new Error(`Unknown thinking level "${thinkingLevel}"`);
+      }
+      const known = instance?.models ?? [];
+      if (model && known.length > 0 && !known.some((m) => model === m.id || model === `${m.provider}/${m.id}`)) {
+        throw new Error(`Model "${model}" is not available on this instance`);
+      }
+    }
+
+    // New sessions live under the main agent unless the app picks a key
+    const key = sessionKey ?? `agent:main:fastclaw-${randomSecret().slice(0, 12)}`;
+    const actionId = await ctx.db.insert("sessionActions", {
+      instanceId,
+      sessionKey: key,
+      action,
+      ...(title ? { title } : {}),
+      ...(action === "settings" && model ? { model } : {}),
+      ...(action === "settings" && thinkingLevel ? { thinkingLevel } : {}),
+      status: "pending",
+      createdAt: Date.now(),
+    });
+
+    return { actionId, sessionKey: key };
+  },
+});
+
+// Pinning is app-side only: the gateway has no notion of it
+export const setPinned = mutation({
+  args: {
+    instanceId: v.string(),
+    deviceId: v.string(),
+    deviceToken: v.string(),
+    sessionKey: v.string(),
+    pinned: v.boolean(),
+  },
+  handler: async (ctx, { instanceId, deviceId, deviceToken, sessionKey, pinned }) => {
+    await requireDevice(ctx, instanceId, deviceId, deviceToken);
+
+    const session = await ctx.db
+      .query("sessions")
+      .withIndex("by_instanceId_sessionKey", (q) =>
+        q.eq("instanceId", instanceId).eq("sessionKey", sessionKey)
+      )
+      .first();
+    if (!session) throw new Error("Session not found");
+
+    await ctx.db.patch(session._id, { pinned, isPinned: pinned });
+  },
+});
+
+export const getPendingActions = query({
+  args: { instanceId: v.string(), relaySecret: v.string() },
+  handler: async (ctx, { instanceId, relaySecret }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
+    return await ctx.db
+      .query("sessionActions")
+      .withIndex("by_instanceId_status", (q) =>
+        q.eq("instanceId", instanceId).eq("status", "pending")
+      )
+      .collect();
+  },
+});
+
+// Relay reports the gateway result; successful actions are mirrored into the sessions table.
+// Deletes are mirrored by removeSession, which the relay calls first.
+export const completeAction = mutation({
+  args: {
+    instanceId: v.string(),
+    relaySecret: v.string(),
+    actionId: v.id("sessionActions"),
+    status: v.string(),
+    error: v.optional(v.string()),
+  },
+  handler: async (ctx, { instanceId, relaySecret, actionId, status, error }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
+    const action = await ctx.db.get(actionId);
+    if (action?.instanceId !== instanceId) return;
+
+    await ctx.db.patch(actionId, { status, error, completedAt: Date.now() });
+    if (status !== "done") return;
+
+    const session = await ctx.db
+      .query("sessions")
+      .withIndex("by_instanceId_sessionKey", (q) =>
+        q.eq("instanceId", instanceId).eq("sessionKey", action.sessionKey)
+      )
+      .first();
+    const now = Date.now();
+
+    if (action.action === "create" && !session) {
+      await ctx.db.insert("sessions", {
+        instanceId,
+        sessionKey: action.sessionKey,
+        title: action.title ?? action.sessionKey,
+        isPinned: false,
+        lastMessagePreview: "",
+        updatedAt: now,
+        createdAt: now,
+        // Nothing to backfill in a brand-new session
+        backfilledAt: now,
+        createdFromApp: true,
+      });
+    } else if (session && (action.action === "rename" || action.action === "create") && action.title) {
+      await ctx.db.patch(session._id, { title: action.title, updatedAt: now });
+    } else if (session && action.action === "reset") {
+      await ctx.db.patch(session._id, { resetAt: now, lastMessagePreview: "", updatedAt: now });
+    } else if (session && action.action === "settings") {
+      await ctx.db.patch(session._id, {
+        ...(action.model ? { model: action.model } : {}),
+        ...(action.thinkingLevel ? { thinkingLevel: action.thinkingLevel } : {}),
+      });
+    }
+  },
+});
+
+// Delete a session's messages in batches, then the session itself. The relay
+// calls it until `done` (messages can outnumber what one mutation may delete).
+export const removeSession = mutation({
+  args: {
+    instanceId: v.string(),
+    relaySecret: v.string(),
+    sessionKey: v.string(),
+  },
+  handler: async (ctx, { instanceId, relaySecret, sessionKey }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
+    const messages = await ctx.db
+      .query("messages")
+      .withIndex("by_session", (q) => q.eq("instanceId", instanceId).eq("sessionKey", sessionKey))
+      .take(SESSION_MESSAGES_BATCH);
+
+    for (const m of messages) {
+      if (m.contentOverflow) await releaseFile(ctx, instanceId, m.contentOverflow.storageId);
+      for (const a of m.attachments ?? []) {
+        if (a.storageId) await releaseFile(ctx, instanceId, a.storageId);
+      }
+      await deleteMessage(ctx, m._id);
+    }
+    if (messages.length === SESSION_MESSAGES_BATCH) return { done: false };
+
+    const runErrors = await ctx.db
+      .query("runErrors")
+      .withIndex("by_session", (q) => q.eq("instanceId", instanceId).eq("sessionKey", sessionKey))
+      .collect();
+    for (const e of runErrors) await ctx.db.delete(e._id);
+
+    const session = await ctx.db
+      .query("sessions")
+      .withIndex("by_instanceId_sessionKey", (q) =>
+        q.eq("instanceId", instanceId).eq("sessionKey", sessionKey)
+      )
+      .first();
+    if (session) await ctx.db.delete(session._id);
+    return { done: true };
   },
 });
 
 // Get sessions for an instance (used by FastClaw app)
 export const getForInstance = query({
-  args: { instanceId: v.string() },
-  handler: async (ctx, { instanceId }) => {
-    return await ctx.db
+  args: { instanceId: v.string(), includeArchived: v.optional(v.boolean()), ...readerArgs },
+  handler: async (ctx, { instanceId, includeArchived, ...creds }) => {
+    await requireReader(ctx, instanceId, creds);
+
+    const sessions = await ctx.db
       .query("sessions")
       .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
       .collect();
+
+    return includeArchived ? sessions : sessions.filter((s) => !s.archivedAt);
   },
 });
 
@@ -57,9 +401,13 @@ export const getForInstance = query({
 export const heartbeat = mutation({
   args: {
     instanceId: v.string(),
+    relaySecret: v.string(),
     version: v.optional(v.string()),
+    outboxDepth: v.optional(v.number()), // writes queued on the relay while Convex was unreachable
   },
-  handler: async (ctx, { instanceId, version }) => {
+  handler: async (ctx, { instanceId, relaySecret, version, outboxDepth }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
     const instance = await ctx.db
       .query("instances")
       .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
@@ -70,8 +418,12 @@ export const heartbeat = mutation({
         status: "online",
         lastSeenAt: Date.now(),
         ...(version ? { version } : {}),
+        ...(outboxDepth !== undefined ? { outboxDepth } : {}),
       });
     }
+
+    // A device was revoked since the relay last rotated the content key
+    return { contentKeyRotationRequestedAt: instance?.contentKeyRotationRequestedAt ?? null };
   },
 });
 
@@ -79,12 +431,15 @@ export const heartbeat = mutation({
 export const pushIdentity = mutation({
   args: {
     instanceId: v.string(),
+    relaySecret: v.string(),
     identity: v.object({
       name: v.optional(v.string()),
       emoji: v.optional(v.string()),
     }),
   },
-  handler: async (ctx, { instanceId, identity }) => {
+  handler: async (ctx, { instanceId, relaySecret, identity }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
     const instance = await ctx.db
       .query("instances")
       .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
@@ -99,6 +454,7 @@ export const pushIdentity = mutation({
 export const pushHealth = mutation({
   args: {
     instanceId: v.string(),
+    relaySecret: v.string(),
     healthData: v.object({
       model: v.optional(v.string()),
       activeSessionModel: v.optional(v.string()),
@@ -116,7 +472,9 @@ export const pushHealth = mutation({
       updatedAt: v.optional(v.number()),
     }),
   },
-  handler: async (ctx, { instanceId, healthData }) => {
+  handler: async (ctx, { instanceId, relaySecret, healthData }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
     const instance = await ctx.db
       .query("instances")
       .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
@@ -134,8 +492,10 @@ export const pushHealth = mutation({
 
 // Get instance status (used by FastClaw app)
 export const getInstanceStatus = query({
-  args: { instanceId: v.string() },
-  handler: async (ctx, { instanceId }) => {
+  args: { instanceId: v.string(), ...readerArgs },
+  handler: async (ctx, { instanceId, ...creds }) => {
+    await requireReader(ctx, instanceId, creds);
+
     const instance = await ctx.db
       .query("instances")
       .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
@@ -146,9 +506,42 @@ export const getInstanceStatus = query({
     // Consider offline if no heartbeat in 2 minutes
     const isOnline = Date.now() - instance.lastSeenAt < 2 * 60 * 1000;
 
+    // Listed field by field: the secret hash and relay bookkeeping stay server-side
     return {
-      ...instance,
+      _id: instance._id,
+      _creationTime: instance._creationTime,
+      instanceId: instance.instanceId,
+      name: instance.name,
       status: isOnline ? "online" : "offline",
+      version: instance.version,
+      lastSeenAt: instance.lastSeenAt,
+      createdAt: instance.createdAt,
+      outboxDepth: instance.outboxDepth,
+      relayPublicKey: instance.relayPublicKey,
+      identity: instance.identity,
+      healthData: instance.healthData,
+      models: instance.models,
+      modelsUpdatedAt: instance.modelsUpdatedAt,
     };
   },
 });
+
+// Models the app can pick from (gateway models.list)
+export const pushModels = mutation({
+  args: {
+    instanceId: v.string(),
+    relaySecret: v.string(),
+    models: v.array(v.object({
+      id: v.string(),
+      provider: v.optional(v.string()),
+      name: v.optional(v.string()),
+      contextWindow: v.optional(v.number()),
+      reasoning: v.optional(v.boolean()),
+    })),
+  },
+  handler: async (ctx, { instanceId, relaySecret, models }) => {
+    const instance = await requireRelay(ctx, instanceId, relaySecret);
+
+    await ctx.db.patch(instance._id, { models, modelsUpdatedAt: Date.now() });
+  },
+});
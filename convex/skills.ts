@@ -1,19 +1,42 @@
 import { mutation, query } from "./_generated/server";
 import { v } from "convex/values";
+import { readerArgs, requireDevice, requireReader, requireRelay } from "./access";
+
+const skillValidator = v.object({
+  name: v.string(),
+  description: v.string(),
+  emoji: v.optional(v.string()),
+  eligible: v.boolean(),
+  source: v.string(),
+  homepage: v.optional(v.string()),
+  skillKey: v.optional(v.string()),
+  disabled: v.optional(v.boolean()),
+  missing: v.optional(v.object({
+    bins: v.optional(v.array(v.string())),
+    anyBins: v.optional(v.array(v.string())),
+    env: v.optional(v.array(v.string())),
+    config: v.optional(v.array(v.string())),
+    os: v.optional(v.array(v.string())),
+  })),
+});
+
+// ClawHub slugs, and the config keys skills are enabled/disabled by. Both end up as
+// CLI or RPC arguments on the relay, so nothing else (or a leading "-") is accepted.
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const SKILL_KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+const RECENT_ACTIONS = 20;
+// An action still "running" after this lost its relay (ClawHub itself times out after 3 minutes)
+const RUNNING_TIMEOUT_MS = 10 * 60 * 1000;
 
 export const sync = mutation({
   args: {
     instanceId: v.string(),
-    skills: v.array(v.object({
-      name: v.string(),
-      description: v.string(),
-      emoji: v.optional(v.string()),
-      eligible: v.boolean(),
-      source: v.string(),
-      homepage: v.optional(v.string()),
-    })),
-  },
-  handler: async (ctx, { instanceId, skills }) => {
+    relaySecret: v.string(),
+    skills: v.array(skillValidator),
+  },
+  handler: async (ctx, { instanceId, relaySecret, skills }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
     const existing = await ctx.db
       .query("skills")
       .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
@@ -28,8 +51,10 @@ export const sync = mutation({
 });
 
 export const get = query({
-  args: { instanceId: v.string() },
-  handler: async (ctx, { instanceId }) => {
+  args: { instanceId: v.string(), ...readerArgs },
+  handler: async (ctx, { instanceId, ...creds }) => {
+    await requireReader(ctx, instanceId, creds);
+
     const doc = await ctx.db
       .query("skills")
       .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
@@ -38,3 +63,131 @@ export const get = query({
     return doc?.skills ?? [];
   },
 });
+
+// --- Skill actions (app → relay → ClawHub / gateway) ---
+
+export const requestAction = mutation({
+  args: {
+    instanceId: v.string(),
+    deviceId: v.string(),
+    deviceToken: v.string(),
+    action: v.union(
+      v.literal("install"),
+      v.literal("update"),
+      v.literal("uninstall"),
+      v.literal("enable"),
+      v.literal("disable")
+    ),
+    skill: v.string(),
+  },
+  handler: async (ctx, { instanceId, deviceId, deviceToken, action, skill }) => {
+    await requireDevice(ctx, instanceId, deviceId, deviceToken);
+
+    if (action === "enable" || action === "disable") {
+      if (!SKILL_KEY_PATTERN.test(skill)) throw new Error(`Invalid skill key "${skill.slice(0, 40)}"`);
+      const doc = await ctx.db
+        .query("skills")
+        .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
+        .first();
+      if (!doc?.skills.some((s) => (s.skillKey ?? s.name) === skill)) {
+        throw new Error(`Unknown skill "${skill}"`);
+      }
+    } else if (!SLUG_PATTERN.test(skill)) {
+      throw new Error(`Invalid ClawHub slug "${skill.slice(0, 40)}"`);
+    }
+
+    const pending = await ctx.db
+      .query("skillActions")
+      .withIndex("by_instanceId_status", (q) => q.eq("instanceId", instanceId).eq("status", "pending"))
+      .collect();
+    if (pending.some((a) => a.skill === skill)) throw new Error(`A change to "${skill}" is already queued`);
+
+    const running = await ctx.db
+      .query("skillActions")
+      .withIndex("by_instanceId_status", (q) => q.eq("instanceId", instanceId).eq("status", "running"))
+      .collect();
+    for (const a of running.filter((a) => a.skill === skill)) {
+      if (Date.now() - (a.startedAt ?? a.createdAt) < RUNNING_TIMEOUT_MS) {
+        throw new Error(`A change to "${skill}" is already running`);
+      }
+      await ctx.db.patch(a._id, { status: "error", error: "Timed out: the relay stopped before finishing", completedAt: Date.now() });
+    }
+
+    return await ctx.db.insert("skillActions", {
+      instanceId,
+      action,
+      skill,
+      status: "pending",
+      createdAt: Date.now(),
+    });
+  },
+});
+
+export const getPendingActions = query({
+  args: { instanceId: v.string(), relaySecret: v.string() },
+  handler: async (ctx, { instanceId, relaySecret }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
+    return await ctx.db
+      .query("skillActions")
+      .withIndex("by_instanceId_status", (q) =>
+        q.eq("instanceId", instanceId).eq("status", "pending")
+      )
+      .collect();
+  },
+});
+
+// Relay reports progress: "running" when it starts, then "done" or "error"
+export const updateAction = mutation({
+  args: {
+    instanceId: v.string(),
+    relaySecret: v.string(),
+    actionId: v.id("skillActions"),
+    status: v.union(v.literal("running"), v.literal("done"), v.literal("error")),
+    error: v.optional(v.string()),
+  },
+  handler: async (ctx, { instanceId, relaySecret, actionId, status, error }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
+    const action = await ctx.db.get(actionId);
+    if (action?.instanceId !== instanceId) return;
+
+    await ctx.db.patch(actionId, {
+      status,
+      error,
+      ...(status === "running" ? { startedAt: Date.now() } : { completedAt: Date.now() }),
+    });
+  },
+});
+
+// A relay that just started runs nothing yet: anything still "running" was cut
+// off by a crash or restart, so it's queued again
+export const requeueRunning = mutation({
+  args: { instanceId: v.string(), relaySecret: v.string() },
+  handler: async (ctx, { instanceId, relaySecret }) => {
+    await requireRelay(ctx, instanceId, relaySecret);
+
+    const running = await ctx.db
+      .query("skillActions")
+      .withIndex("by_instanceId_status", (q) => q.eq("instanceId", instanceId).eq("status", "running"))
+      .collect();
+    for (const a of running) {
+      await ctx.db.patch(a._id, { status: "pending", startedAt: undefined });
+    }
+    return running.length;
+  },
+});
+
+// Recent actions, newest first, so the app can show progress and errors
+export const getActions = query({
+  args: { instanceId: v.string(), ...readerArgs },
+  handler: async (ctx, { instanceId, ...creds }) => {
+    await requireReader(ctx, instanceId, creds);
+
+    return await ctx.db
+      .query("skillActions")
+      .withIndex("by_instanceId", (q) => q.eq("instanceId", instanceId))
+      .order("desc")
+      .take(RECENT_ACTIONS);
+  },
+});
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Manage devices paired to this OpenClaw instance.
+ * Usage:
+ *   node devices.mjs [--list] [--all] [--json]
+ *   node devices.mjs --rename <deviceId> <name>
+ *   node devices.mjs --revoke <deviceId>
+ */
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { ConvexHttpClient } from "convex/browser";
+
+const FASTCLAW_CONFIG_PATH = path.join(os.homedir(), ".openclaw", "fastclaw", "config.json");
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toLocaleString() : "-";
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const config = JSON.parse(await fs.readFile(FASTCLAW_CONFIG_PATH, "utf8"));
+
+  if (!config.convexUrl || !config.instanceId || !config.relaySecret) {
+    throw new Error(`Incomplete config in ${FASTCLAW_CONFIG_PATH}. Run the pair command first.`);
+  }
+
+  const client = new ConvexHttpClient(config.convexUrl);
+  const auth = { instanceId: config.instanceId, relaySecret: config.relaySecret };
+
+  const revokeIdx = args.indexOf("--revoke");
+  if (revokeIdx !== -1) {
+    const targetDeviceId = args[revokeIdx + 1];
+    if (!targetDeviceId) throw new Error("Usage: devices.mjs --revoke <deviceId>");
+
+    await client.mutation("devices:revoke", { ...auth, targetDeviceId });
+    console.log(`Revoked ${targetDeviceId}. It must pair again to reconnect; the relay rotates the e2e key shortly.`);
+    return;
+  }
+
+  const renameIdx = args.indexOf("--rename");
+  if (renameIdx !== -1) {
+    const targetDeviceId = args[renameIdx + 1];
+    const name = args.slice(renameIdx + 2).join(" ");
+    if (!targetDeviceId || !name) throw new Error("Usage: devices.mjs --rename <deviceId> <name>");
+
+    await client.mutation("devices:rename", { ...auth, targetDeviceId, name });
+    console.log(`Renamed ${targetDeviceId} to "${name}".`);
+    return;
+  }
+
+  const devices = await client.query("devices:list", {
+    ...auth,
+    includeRevoked: args.includes("--all"),
+  });
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(devices, null, 2));
+    return;
+  }
+
+  if (devices.length === 0) {
+    console.log("No paired devices.");
+    return;
+  }
+
+  for (const d of devices) {
+    const state = d.revokedAt ? `revoked ${formatTime(d.revokedAt)}` : d.e2eReady ? "active" : "active (awaiting e2e key)";
+    console.log(`${d.deviceId}  ${d.name} (${d.platform})`);
+    console.log(`  paired ${formatTime(d.pairedAt)} · last seen ${formatTime(d.lastSeenAt)} · ${state}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
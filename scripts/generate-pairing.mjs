@@ -10,6 +10,7 @@ import { promises as fs } from "node:fs";
 import os from "node:os";
 import path from "node:path";
 import { ConvexHttpClient } from "convex/browser";
+import { generateE2EKeys, hasE2EKeys } from "./lib/e2e.mjs";
 
 const FASTCLAW_CONFIG_PATH = path.join(os.homedir(), ".openclaw", "fastclaw", "config.json");
 
@@ -23,14 +24,34 @@ try {
   const config = JSON.parse(await fs.readFile(FASTCLAW_CONFIG_PATH, "utf8"));
   const client = new ConvexHttpClient(config.convexUrl);
 
+  // Convex won't pair an instance registered before relay secrets
+  if (!config.relaySecret) {
+    throw new Error("This relay has no relaySecret. Run the pair command to register it again, then restart the relay.");
+  }
+
+  // Older installs have no e2e keys yet: create them before the device sees the public key.
+  // The running relay sees config.json change, starts sealing and wraps the content key for the device.
+  if (!hasE2EKeys(config)) {
+    Object.assign(config, generateE2EKeys());
+    await fs.writeFile(FASTCLAW_CONFIG_PATH, `${JSON.stringify(config, null, 2)}\n`, "utf8");
+  }
+
   // Generate pairing code
   const result = await client.mutation("pairing:createPairingCode", {
     instanceId: config.instanceId,
     instanceName: "OpenClaw",
+    relayPublicKey: config.e2ePublicKey,
+    relaySecret: config.relaySecret,
   });
 
+  // Convex returns a secret only when this pairing registered the instance
+  if (result.relaySecret) {
+    config.relaySecret = result.relaySecret;
+    await fs.writeFile(FASTCLAW_CONFIG_PATH, `${JSON.stringify(config, null, 2)}\n`, "utf8");
+  }
+
   const code = result.code;
-  const qrData = JSON.stringify({ code, convexUrl: config.convexUrl });
+  const qrData = JSON.stringify({ code, convexUrl: config.convexUrl, relayPublicKey: config.e2ePublicKey });
 
   // Generate QR as PNG using canvas (no native deps)
   let qrSaved = false;
@@ -41,8 +62,13 @@ try {
   } catch {
     // qrcode module not available, try segno via python
     try {
-      const { execSync } = await import("node:child_process");
-      execSync(`python3 -c "import segno,json; segno.make(json.dumps({'code':'${code}','convexUrl':'${config.convexUrl}'})).save('${outPath}', scale=8, border=2)"`, { timeout: 10000 });
+      const { execFileSync } = await import("node:child_process");
+      execFileSync("python3", [
+        "-c",
+        "import segno,sys; segno.make(sys.argv[1]).save(sys.argv[2], scale=8, border=2)",
+        qrData,
+        outPath,
+      ], { timeout: 10000 });
       qrSaved = true;
     } catch {
       // No QR generation available
@@ -0,0 +1,149 @@
+/**
+ * End-to-end encryption between the relay and paired FastClaw devices.
+ *
+ * Every instance has one random 256-bit content key. Message bodies, session
+ * titles and previews are sealed with it (AES-256-GCM) before they reach Convex.
+ * Each paired device receives the content key wrapped with a key derived from
+ * X25519(relay private key, device public key) via HKDF-SHA256. Revoking a
+ * device rotates the content key; retired keys are kept to open older text.
+ *
+ * Envelope format: "e2e1:" + base64(nonce[12] || ciphertext || tag[16]),
+ * which matches CryptoKit's AES.GCM.SealedBox.combined.
+ */
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHmac,
+  createPrivateKey,
+  createPublicKey,
+  diffieHellman,
+  generateKeyPairSync,
+  hkdfSync,
+  randomBytes,
+} from "node:crypto";
+
+export const ENVELOPE_PREFIX = "e2e1:";
+const WRAP_INFO = "fastclaw-e2e-wrap-v1";
+
+function toBase64Url(b64) {
+  return b64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(b64url) {
+  return Buffer.from(b64url, "base64url").toString("base64");
+}
+
+export function isEnvelope(text) {
+  return typeof text === "string" && text.startsWith(ENVELOPE_PREFIX);
+}
+
+// Generate the relay key pair and instance content key (raw keys, base64)
+export function generateE2EKeys() {
+  const { privateKey, publicKey } = generateKeyPairSync("x25519");
+  const jwk = privateKey.export({ format: "jwk" });
+
+  return {
+    e2ePrivateKey: fromBase64Url(jwk.d),
+    e2ePublicKey: fromBase64Url(publicKey.export({ format: "jwk" }).x),
+    e2eContentKey: randomBytes(32).toString("base64"),
+  };
+}
+
+export function hasE2EKeys(config) {
+  return Boolean(config?.e2ePrivateKey && config?.e2ePublicKey && config?.e2eContentKey);
+}
+
+export function sealWithKey(key, plaintext) {
+  const nonce = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, nonce);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  const combined = Buffer.concat([nonce, ciphertext, cipher.getAuthTag()]);
+  return `${ENVELOPE_PREFIX}${combined.toString("base64")}`;
+}
+
+export function openWithKey(key, envelope) {
+  const combined = Buffer.from(envelope.slice(ENVELOPE_PREFIX.length), "base64");
+  if (combined.length < 28) throw new Error("Malformed e2e envelope");
+
+  const nonce = combined.subarray(0, 12);
+  const tag = combined.subarray(combined.length - 16);
+  const decipher = createDecipheriv("aes-256-gcm", key, nonce);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(combined.subarray(12, combined.length - 16)), decipher.final()]).toString("utf8");
+}
+
+// New content key for the instance; the old ones stay around to open what they sealed
+export function rotateContentKey(config) {
+  return {
+    e2eContentKey: randomBytes(32).toString("base64"),
+    e2ePreviousContentKeys: [config.e2eContentKey, ...(config.e2ePreviousContentKeys ?? [])],
+  };
+}
+
+function wrapKeyFor(config, devicePublicKeyB64, contentKeyB64) {
+  const privateKey = createPrivateKey({
+    key: {
+      kty: "OKP",
+      crv: "X25519",
+      d: toBase64Url(config.e2ePrivateKey),
+      x: toBase64Url(config.e2ePublicKey),
+    },
+    format: "jwk",
+  });
+  const publicKey = createPublicKey({
+    key: { kty: "OKP", crv: "X25519", x: toBase64Url(devicePublicKeyB64) },
+    format: "jwk",
+  });
+
+  const shared = diffieHellman({ privateKey, publicKey });
+  const wrapKey = Buffer.from(hkdfSync("sha256", shared, Buffer.from(config.instanceId, "utf8"), WRAP_INFO, 32));
+  return sealWithKey(wrapKey, contentKeyB64);
+}
+
+// Wrap the instance content key for one device's X25519 public key
+export function wrapContentKey(config, devicePublicKeyB64) {
+  return wrapKeyFor(config, devicePublicKeyB64, config.e2eContentKey);
+}
+
+// Wrap retired content keys too, newest first, so the device can read older history
+export function wrapPreviousContentKeys(config, devicePublicKeyB64) {
+  return (config.e2ePreviousContentKeys ?? []).map((key) => wrapKeyFor(config, devicePublicKeyB64, key));
+}
+
+/**
+ * Seal/open helpers bound to the instance content key. Empty strings pass
+ * through unchanged so "no text" stays visible to Convex-side checks.
+ */
+export function createCipher(config) {
+  const key = Buffer.from(config.e2eContentKey, "base64");
+  const previousKeys = (config.e2ePreviousContentKeys ?? []).map((k) => Buffer.from(k, "base64"));
+
+  // Text sealed before the last rotation (or by a device that hasn't picked up the new key yet)
+  const openAny = (text) => {
+    try {
+      return openWithKey(key, text);
+    } catch (err) {
+      for (const previous of previousKeys) {
+        try {
+          return openWithKey(previous, text);
+        } catch {
+          // try the next older key
+        }
+      }
+      throw err;
+    }
+  };
+
+  return {
+    seal(text) {
+      return text ? sealWithKey(key, text) : text;
+    },
+    open(text) {
+      return isEnvelope(text) ? openAny(text) : text;
+    },
+    // Keyed digest of plaintext so Convex can dedupe without seeing content
+    digest(text) {
+      return createHmac("sha256", key).update(text, "utf8").digest("base64");
+    },
+  };
+}
@@ -0,0 +1,292 @@
+/**
+ * OpenClaw gateway access shared by the relay and the status command: the
+ * operator WebSocket connection, the `openclaw` CLI fallback for gateways that
+ * lack an RPC, and the gateway token lookup.
+ */
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { createHash, generateKeyPairSync, randomUUID } from "node:crypto";
+import { promisify } from "node:util";
+import WebSocket from "ws";
+import YAML from "yaml";
+import { Logger } from "./logger.mjs";
+
+export const DEFAULT_GATEWAY_URL = "ws://127.0.0.1:18789";
+export const OPENCLAW_CONFIG_PATH = path.join(os.homedir(), ".openclaw", "config.yaml");
+const CLI_TIMEOUT_MS = 15000;
+
+const execFileAsync = promisify(execFile);
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function pickGatewayTokenFromYaml(config) {
+  const candidates = [
+    config?.gatewayToken,
+    config?.gateway?.token,
+    config?.gateway?.auth?.token,
+    config?.auth?.gatewayToken,
+    config?.openclaw?.gatewayToken,
+  ];
+
+  for (const value of candidates) {
+    if (typeof value === "string" && value.trim()) return value.trim();
+  }
+
+  return null;
+}
+
+// OPENCLAW_GATEWAY_TOKEN wins over ~/.openclaw/config.yaml; null when neither has one
+export async function readGatewayToken() {
+  const envToken = process.env.OPENCLAW_GATEWAY_TOKEN;
+  if (envToken && envToken.trim()) return envToken.trim();
+
+  let raw;
+  try {
+    raw = await fs.readFile(OPENCLAW_CONFIG_PATH, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  return pickGatewayTokenFromYaml(YAML.parse(raw));
+}
+
+function makeDeviceIdentity(instanceId) {
+  const { privateKey, publicKey } = generateKeyPairSync("ed25519");
+  const deviceId = `fastclaw-relay-${createHash("sha256").update(instanceId).digest("hex").slice(0, 16)}`;
+  const publicKeyB64 = publicKey.export({ format: "der", type: "spki" }).toString("base64");
+
+  return { deviceId, privateKey, publicKeyB64 };
+}
+
+// No shell: arguments reach the CLI verbatim, so app-supplied text can't inject commands
+export async function runCli(file, args, timeoutMs = CLI_TIMEOUT_MS) {
+  try {
+    const { stdout } = await execFileAsync(file, args, {
+      encoding: "utf-8",
+      timeout: timeoutMs,
+      maxBuffer: 10 * 1024 * 1024,
+    });
+    return stdout;
+  } catch (err) {
+    // The CLIs explain rejected input on stderr
+    throw new Error(err.stderr?.toString().trim() || err.message);
+  }
+}
+
+function runOpenclaw(args) {
+  return runCli("openclaw", args);
+}
+
+// Gateways that predate an RPC reject it by name
+function isUnknownMethod(err) {
+  return /unknown method|method not found|not supported/i.test(err?.message ?? "");
+}
+
+export class GatewayConnection {
+  constructor(config, { log = new Logger() } = {}) {
+    this.log = log;
+    this.url = config.gatewayUrl;
+    this.token = config.gatewayToken;
+    this.instanceId = config.instanceId;
+    this.instanceName = config.instanceName;
+    this.identity = makeDeviceIdentity(config.instanceId);
+
+    this.ws = null;
+    this.pending = new Map();
+    this.handlers = new Set();
+    this.connected = false;
+    this.closed = false;
+    this.unsupportedMethods = new Set(); // RPCs this gateway rejected as unknown
+  }
+
+  onFrame(handler) {
+    this.handlers.add(handler);
+    return () => this.handlers.delete(handler);
+  }
+
+  async open() {
+    this.closed = false;
+    this.ws = new WebSocket(this.url);
+
+    const connected = new Promise((resolve, reject) => {
+      let connectTimeout = null;
+      let fallbackTimer = null;
+      let settled = false;
+
+      const settle = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(connectTimeout);
+        clearTimeout(fallbackTimer);
+        fn(value);
+      };
+
+      connectTimeout = setTimeout(() => {
+        settle(reject, new Error("Gateway connect timeout"));
+      }, 15000);
+
+      const sendConnect = async (challenge) => {
+        try {
+          const payload = {
+            minProtocol: 3,
+            maxProtocol: 3,
+            client: {
+              id: "gateway-client",
+              displayName: "FastClaw Relay",
+              version: "1.0.0",
+              platform: process.platform,
+              mode: "backend",
+            },
+            role: "operator",
+            scopes: ["operator.read", "operator.write"],
+            caps: [],
+            auth: { token: this.token },
+          };
+
+          this.log.debug("sending connect frame...");
+          const response = await this.request("connect", payload, 12000);
+          this.log.debug("connect response", { response: this.log.redact(response) });
+          const type = response?.type ?? response?.event;
+          if (type !== "hello-ok") {
+            throw new Error(`Unexpected connect response type: ${type ?? "unknown"}`);
+          }
+
+          this.serverVersion = response?.server?.version ?? "unknown";
+          this.connected = true;
+          settle(resolve);
+        } catch (err) {
+          settle(reject, err);
+        }
+      };
+
+      this.ws.once("open", () => {
+        fallbackTimer = setTimeout(() => {
+          void sendConnect(null);
+        }, 200);
+      });
+
+      this.ws.on("message", (raw) => {
+        const frame = parseJson(String(raw));
+        if (!frame) return;
+
+        if (frame.id && this.pending.has(frame.id)) {
+          const p = this.pending.get(frame.id);
+          clearTimeout(p.timer);
+          this.pending.delete(frame.id);
+
+          if (frame.ok === false) {
+            p.reject(new Error(frame.error?.message ?? "Gateway RPC error"));
+          } else {
+            p.resolve(frame.payload ?? frame.result ?? frame);
+          }
+          return;
+        }
+
+        if (frame.type === "connect.challenge" || frame.event === "connect.challenge") {
+          this.log.debug("received challenge, sending connect...");
+          void sendConnect(frame.payload ?? frame.data ?? {});
+          return;
+        }
+
+        for (const handler of this.handlers) handler(frame);
+      });
+
+      this.ws.once("error", (err) => {
+        settle(reject, err);
+      });
+
+      this.ws.once("close", () => {
+        if (!this.connected) settle(reject, new Error("Gateway closed before connect"));
+      });
+    });
+
+    await connected;
+  }
+
+  // Prefers the gateway RPC; gateways that don't know it get the equivalent CLI call.
+  // Resolves to the RPC payload, or the CLI's JSON output (null when it printed none).
+  async requestOrCli(method, payload, cliArgs) {
+    if (!this.unsupportedMethods.has(method)) {
+      try {
+        return await this.request(method, payload, CLI_TIMEOUT_MS);
+      } catch (err) {
+        if (!isUnknownMethod(err)) throw err;
+        this.unsupportedMethods.add(method);
+        this.log.info(`gateway has no ${method} RPC, using the openclaw CLI`);
+      }
+    }
+    return parseJson(await runOpenclaw(cliArgs));
+  }
+
+  request(method, payload, timeoutMs = 10000) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error("Gateway socket is not open"));
+    }
+
+    const id = randomUUID();
+    const frame = { type: "req", id, method, params: payload };
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Gateway RPC timeout for ${method}`));
+      }, timeoutMs);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.ws.send(JSON.stringify(frame));
+    });
+  }
+
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.connected = false;
+
+    for (const p of this.pending.values()) {
+      clearTimeout(p.timer);
+      p.reject(new Error("Gateway connection closing"));
+    }
+    this.pending.clear();
+
+    if (!this.ws) return;
+
+    const ws = this.ws;
+    this.ws = null;
+    // A socket that failed to connect is already closed and won't emit "close" again
+    if (ws.readyState === WebSocket.CLOSED) return;
+
+    await new Promise((resolve) => {
+      const done = () => resolve();
+      ws.once("close", done);
+      ws.once("error", done);
+      try {
+        ws.close(1000, "fastclaw shutdown");
+      } catch {
+        resolve();
+      }
+      setTimeout(done, 500).unref?.();
+    });
+  }
+
+  waitForClose() {
+    if (!this.ws) return Promise.resolve();
+    return new Promise((resolve) => {
+      this.ws.once("close", () => {
+        this.connected = false;
+        resolve();
+      });
+      this.ws.once("error", () => {
+        this.connected = false;
+        resolve();
+      });
+    });
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Leveled logger for the relay.
+ *
+ * Levels are error < warn < info < debug. Text mode prints the message with any
+ * fields appended as key=value; JSON mode prints one object per line. With a
+ * `file`, lines go there instead of the console, rotating to file.1 … file.N
+ * once it passes `maxBytes`.
+ *
+ * Message content is private: `redact()` replaces content-bearing fields in
+ * anything logged (frames, RPC responses) unless `logContent` is turned on.
+ */
+import fs from "node:fs";
+import path from "node:path";
+
+export const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const DUMP_MAX = 2000; // longest value dumped into a line
+// Fields that carry conversation text, tool input and output, run errors (which
+// quote the conversation), titles or attachment bodies
+const CONTENT_KEYS = new Set([
+  "content",
+  "text",
+  "message",
+  "thinking",
+  "arguments",
+  "partialJson",
+  "input",
+  "output",
+  "result",
+  "errorMessage",
+  "data",
+  "label",
+  "title",
+  "displayName",
+  "lastMessagePreview",
+  "preview",
+]);
+
+function redactValue(value) {
+  if (typeof value === "string") return `[redacted ${value.length} chars]`;
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (value && typeof value === "object") return redactObject(value);
+  return value;
+}
+
+function redactObject(value) {
+  if (Array.isArray(value)) return value.map((item) => redactObject(item));
+  if (!value || typeof value !== "object") return value;
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = CONTENT_KEYS.has(key) ? redactValue(item) : redactObject(item);
+  }
+  return result;
+}
+
+function formatField(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text?.length > DUMP_MAX ? `${text.slice(0, DUMP_MAX)}…` : text;
+}
+
+export function parseLevel(value, fallback = "info") {
+  const level = String(value ?? "").toLowerCase();
+  return level in LEVELS ? level : fallback;
+}
+
+export class Logger {
+  constructor({ level = "info", json = false, file = null, maxBytes, maxFiles, logContent = false } = {}) {
+    this.level = parseLevel(level);
+    this.json = json;
+    this.file = file;
+    this.maxBytes = maxBytes ?? DEFAULT_MAX_BYTES;
+    this.maxFiles = maxFiles ?? DEFAULT_MAX_FILES;
+    this.logContent = logContent;
+    this.fileBytes = 0;
+
+    if (file) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      try {
+        this.fileBytes = fs.statSync(file).size;
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    }
+  }
+
+  enabled(level) {
+    return LEVELS[level] <= LEVELS[this.level];
+  }
+
+  error(msg, fields) {
+    this.write("error", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write("warn", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write("info", msg, fields);
+  }
+
+  debug(msg, fields) {
+    this.write("debug", msg, fields);
+  }
+
+  // Strips message text, titles and attachment data from a value before it's logged
+  redact(value) {
+    return this.logContent ? value : redactObject(value);
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.enabled(level)) return;
+
+    let line;
+    if (this.json) {
+      // Fixed keys last so a field can't overwrite them
+      line = JSON.stringify({ ...fields, time: new Date().toISOString(), level, msg });
+    } else {
+      const extra = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => ` ${key}=${formatField(value)}`)
+        .join("");
+      line = `${level === "info" || level === "debug" ? "" : `${level}: `}${msg}${extra}`;
+    }
+
+    if (this.file) {
+      this.appendToFile(`${this.json ? line : `${new Date().toISOString()} ${line}`}\n`);
+    } else if (level === "error" || level === "warn") {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  appendToFile(line) {
+    try {
+      if (this.fileBytes > 0 && this.fileBytes + Buffer.byteLength(line) > this.maxBytes) this.rotate();
+      fs.appendFileSync(this.file, line, { mode: 0o600 });
+      this.fileBytes += Buffer.byteLength(line);
+    } catch (err) {
+      // Never let logging take the relay down; fall back to the console
+      console.error(`log file write failed: ${err.message}`);
+      console.error(line.trimEnd());
+    }
+  }
+
+  // file → file.1 → … → file.N; the oldest is dropped
+  rotate() {
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      try {
+        fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    }
+    if (this.maxFiles >= 1) fs.renameSync(this.file, `${this.file}.1`);
+    else fs.rmSync(this.file, { force: true });
+    this.fileBytes = 0;
+  }
+}
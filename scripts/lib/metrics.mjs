@@ -0,0 +1,84 @@
+/**
+ * Opt-in health and metrics endpoint for supervisors and Prometheus.
+ *
+ * `Metrics` holds counters (optionally labelled) and gauges that are read when
+ * scraped. `startMetricsServer` serves them on localhost only:
+ *   GET /healthz  JSON from the `health()` callback; 200 when `ok`, else 503
+ *   GET /metrics  Prometheus text exposition format 0.0.4
+ */
+import http from "node:http";
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+export class Metrics {
+  constructor() {
+    this.counters = new Map();
+    this.gauges = new Map();
+  }
+
+  counter(name, help) {
+    this.counters.set(name, { help, values: new Map() });
+  }
+
+  // `read()` runs at scrape time; null/undefined leaves the gauge out
+  gauge(name, help, read) {
+    this.gauges.set(name, { help, read });
+  }
+
+  inc(name, labels = {}, by = 1) {
+    const counter = this.counters.get(name);
+    if (!counter) throw new Error(`Unknown counter ${name}`);
+    const key = formatLabels(labels);
+    counter.values.set(key, (counter.values.get(key) ?? 0) + by);
+  }
+
+  render() {
+    const lines = [];
+    for (const [name, { help, values }] of this.counters) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+      if (values.size === 0) lines.push(`${name} 0`);
+      for (const [labels, value] of values) lines.push(`${name}${labels} ${value}`);
+    }
+    for (const [name, { help, read }] of this.gauges) {
+      const value = read();
+      if (value === null || value === undefined) continue;
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${Number(value)}`);
+    }
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+export function startMetricsServer({ port, host = "127.0.0.1", metrics, health }) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url ?? "/", "http://localhost");
+
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { allow: "GET, HEAD" }).end();
+    } else if (pathname === "/healthz") {
+      const status = health();
+      res.writeHead(status.ok ? 200 : 503, { "content-type": "application/json" });
+      res.end(JSON.stringify(status));
+    } else if (pathname === "/metrics") {
+      res.writeHead(200, { "content-type": "text/plain; version=0.0.4; charset=utf-8" });
+      res.end(metrics.render());
+    } else {
+      res.writeHead(404).end();
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,198 @@
+/**
+ * Durable, ordered queue for relay → Convex writes.
+ *
+ * Entries are appended to a JSONL file before they're sent and dropped once
+ * Convex accepts them, so replies produced while Convex is unreachable survive
+ * outages and relay restarts. Entries are sent strictly in order; a failed send
+ * blocks the queue and is retried with exponential backoff.
+ *
+ * Each line is { id, key?, entry }. A line repeating an earlier id replaces that
+ * entry in place (used to coalesce stream deltas for the same run).
+ *
+ * Only entries Convex deterministically refuses (argument validation, a handler
+ * rejecting the data) are given up on, after a few tries. They're moved to a
+ * dead-letter file next to the queue so they can be inspected. Anything else,
+ * from network errors to server errors and functions missing mid-deploy, is
+ * retried until it goes through. An entry that bundles several writes can be
+ * split by the `split` option on its first rejection, so one bad write doesn't
+ * take the rest down with it.
+ */
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { Logger } from "./logger.mjs";
+
+const BACKOFF_MS = 1000;
+const BACKOFF_MAX_MS = 60000;
+const MAX_REJECTIONS = 3; // the write itself is invalid: dead-letter it after this many tries
+const COMPACT_EVERY = 200; // rewrite the file after this many sent entries
+
+// Errors that say the write itself is bad, so retrying can't help: the relay's
+// own rejections (err.permanent), failed argument validation, oversized documents
+// and errors a handler threw. A relay Convex doesn't recognize is not the entry's
+// fault; those writes wait for the credentials to be fixed.
+function isInvalidEntry(err) {
+  const message = err?.message ?? "";
+  if (/Invalid relay credentials|Missing credentials/.test(message)) return false;
+  return Boolean(err?.permanent) || /ArgumentValidationError|Uncaught Error|too large/i.test(message);
+}
+
+export class Outbox {
+  // `send(entry)` performs the write and throws on failure. `split(entry)` returns
+  // the entries a rejected one can be broken into, or null.
+  constructor(filePath, send, { log = new Logger(), split = () => null } = {}) {
+    this.filePath = filePath;
+    this.split = split;
+    this.deadLetterPath = filePath.replace(/(\.jsonl)?$/, ".dead.jsonl");
+    this.send = send;
+    this.log = log;
+    this.items = [];
+    this.nextId = 1;
+    this.inFlight = null;
+    this.draining = false;
+    this.timer = null;
+    this.failures = 0;
+    this.sentSinceCompact = 0;
+    this.fileChain = Promise.resolve();
+    this.stopped = false;
+  }
+
+  get depth() {
+    return this.items.length;
+  }
+
+  async load() {
+    let raw = "";
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+
+    const byId = new Map();
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const item = JSON.parse(line);
+        const existing = byId.get(item.id);
+        if (existing) existing.entry = item.entry;
+        else byId.set(item.id, { ...item, rejections: 0 });
+      } catch {
+        // torn write from a crash: skip the line
+      }
+    }
+
+    this.items = [...byId.values()];
+    this.nextId = Math.max(0, ...this.items.map((item) => item.id)) + 1;
+    return this.items.length;
+  }
+
+  // Resolves once the entry is on disk. Entries with the same `key` that
+  // haven't been sent yet are replaced instead of queued twice.
+  async enqueue(entry, { key } = {}) {
+    const pending = key ? this.items.find((item) => item.key === key && item !== this.inFlight) : null;
+
+    let item;
+    if (pending) {
+      pending.entry = entry;
+      item = pending;
+    } else {
+      item = { id: this.nextId++, ...(key ? { key } : {}), entry, rejections: 0 };
+      this.items.push(item);
+    }
+
+    await this.writeFile(() =>
+      fs.appendFile(this.filePath, `${JSON.stringify({ id: item.id, key: item.key, entry })}\n`, { mode: 0o600 })
+    );
+    this.drain();
+  }
+
+  drain() {
+    if (this.draining || this.timer || this.stopped) return;
+    this.draining = true;
+    void this.run().finally(() => {
+      this.draining = false;
+    });
+  }
+
+  async run() {
+    while (this.items.length > 0 && !this.stopped) {
+      const item = this.items[0];
+      this.inFlight = item;
+
+      try {
+        await this.send(item.entry);
+        this.failures = 0;
+      } catch (err) {
+        const parts = isInvalidEntry(err) ? this.split(item.entry) : null;
+        if (parts?.length > 1) {
+          this.log.warn(`outbox: splitting rejected write into ${parts.length}: ${err.message}`);
+          this.items.splice(0, 1, ...parts.map((entry) => ({ id: this.nextId++, entry, rejections: 0 })));
+          // Rewrite the file so the parts keep the rejected entry's place
+          await this.compact();
+          continue;
+        }
+        if (!isInvalidEntry(err) || ++item.rejections < MAX_REJECTIONS) {
+          this.retryLater(err);
+          return;
+        }
+        this.log.error(`outbox: moving write to ${this.deadLetterPath} after ${MAX_REJECTIONS} rejections: ${err.message}`);
+        await this.deadLetter(item, err);
+      } finally {
+        this.inFlight = null;
+      }
+
+      this.items.shift();
+      this.sentSinceCompact += 1;
+      if (this.items.length === 0 || this.sentSinceCompact >= COMPACT_EVERY) await this.compact();
+    }
+  }
+
+  retryLater(err) {
+    this.failures += 1;
+    const delay = Math.min(BACKOFF_MS * 2 ** (this.failures - 1), BACKOFF_MAX_MS);
+    this.log.warn(`outbox: ${err.message} (${this.items.length} queued, retrying in ${delay}ms)`);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, delay);
+  }
+
+  // Keep a rejected entry for inspection instead of losing it
+  deadLetter(item, err) {
+    const line = { id: item.id, entry: item.entry, error: err.message, time: new Date().toISOString() };
+    return this.writeFile(() =>
+      fs.appendFile(this.deadLetterPath, `${JSON.stringify(line)}\n`, { mode: 0o600 })
+    ).catch((writeErr) => {
+      this.log.error(`outbox: dead-letter write failed: ${writeErr.message}`);
+    });
+  }
+
+  // Rewrite the file with only the entries still queued
+  compact() {
+    this.sentSinceCompact = 0;
+    return this.writeFile(async () => {
+      const lines = this.items.map((item) => `${JSON.stringify({ id: item.id, key: item.key, entry: item.entry })}\n`);
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, lines.join(""), { encoding: "utf8", mode: 0o600 });
+      await fs.rename(tmpPath, this.filePath);
+    }).catch((err) => {
+      this.log.error(`outbox: compaction failed: ${err.message}`);
+    });
+  }
+
+  // Appends and rewrites must not interleave
+  writeFile(task) {
+    const run = this.fileChain.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await task();
+    });
+    this.fileChain = run.catch(() => {});
+    return run;
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
@@ -4,12 +4,11 @@ import path from "node:path";
 import { setTimeout as sleep } from "node:timers/promises";
 import { ConvexHttpClient } from "convex/browser";
 import qrcode from "qrcode-terminal";
-import YAML from "yaml";
 import { v4 as uuidv4 } from "uuid";
+import { generateE2EKeys, hasE2EKeys, wrapContentKey, wrapPreviousContentKeys } from "./lib/e2e.mjs";
+import { DEFAULT_GATEWAY_URL, readGatewayToken } from "./lib/gateway.mjs";
 
-const DEFAULT_GATEWAY_URL = "ws://127.0.0.1:18789";
 const FASTCLAW_CONFIG_PATH = path.join(os.homedir(), ".openclaw", "fastclaw", "config.json");
-const OPENCLAW_CONFIG_PATH = path.join(os.homedir(), ".openclaw", "config.yaml");
 
 async function exists(filePath) {
   try {
@@ -34,42 +33,24 @@ async function readFastclawConfig() {
   return parseJson(raw) ?? {};
 }
 
-function pickGatewayTokenFromYaml(config) {
-  const candidates = [
-    config?.gatewayToken,
-    config?.gateway?.token,
-    config?.gateway?.auth?.token,
-    config?.auth?.gatewayToken,
-    config?.openclaw?.gatewayToken,
-  ];
-
-  for (const value of candidates) {
-    if (typeof value === "string" && value.trim()) return value.trim();
-  }
-
-  return null;
-}
-
-async function readGatewayToken() {
-  const envToken = process.env.OPENCLAW_GATEWAY_TOKEN;
-  if (envToken && envToken.trim()) return envToken.trim();
-
-  if (!(await exists(OPENCLAW_CONFIG_PATH))) return null;
-
-  const raw = await fs.readFile(OPENCLAW_CONFIG_PATH, "utf8");
-  const parsed = YAML.parse(raw);
-  return pickGatewayTokenFromYaml(parsed);
-}
-
-async function saveFastclawConfig(config) {
+// Merge into the file as it is now: it holds settings pairing doesn't manage
+// (metrics, logging, workspaceDir) and the relay may have rotated keys meanwhile
+async function saveFastclawConfig(fields) {
+  const current = await readFastclawConfig();
   await fs.mkdir(path.dirname(FASTCLAW_CONFIG_PATH), { recursive: true });
-  await fs.writeFile(FASTCLAW_CONFIG_PATH, `${JSON.stringify(config, null, 2)}\n`, "utf8");
+  await fs.writeFile(FASTCLAW_CONFIG_PATH, `${JSON.stringify({ ...current, ...fields }, null, 2)}\n`, "utf8");
 }
 
 async function main() {
   const existingConfig = await readFastclawConfig();
 
-  const instanceId = existingConfig.instanceId ?? uuidv4();
+  // An instance registered before relay secrets has nothing proving it's ours, so
+  // Convex won't pair it again: register this relay as a new instance instead
+  const legacyInstance = Boolean(existingConfig.instanceId && !existingConfig.relaySecret);
+  if (legacyInstance) {
+    console.log(`Instance ${existingConfig.instanceId} predates relay secrets; registering a new one. Paired devices need to pair again.`);
+  }
+  const instanceId = legacyInstance ? uuidv4() : existingConfig.instanceId ?? uuidv4();
   const instanceName =
     existingConfig.instanceName ??
     process.env.FASTCLAW_INSTANCE_NAME ??
@@ -92,14 +73,33 @@ async function main() {
     );
   }
 
+  // Keep existing keys (and the retired ones) so already-paired devices can still decrypt
+  const newKeys = hasE2EKeys(existingConfig) ? null : generateE2EKeys();
+  const relayPublicKey = newKeys?.e2ePublicKey ?? existingConfig.e2ePublicKey;
+
   const convex = new ConvexHttpClient(convexUrl);
 
-  const { code } = await convex.mutation("pairing:createPairingCode", {
+  const { code, relaySecret: mintedSecret } = await convex.mutation("pairing:createPairingCode", {
     instanceId,
     instanceName,
+    relayPublicKey,
+    relaySecret: existingConfig.relaySecret,
   });
 
-  const qrPayload = JSON.stringify({ convexUrl, code });
+  // Convex only returns the secret once, when the instance is first registered: save it right away
+  const relaySecret = mintedSecret ?? existingConfig.relaySecret;
+  const config = {
+    instanceId,
+    instanceName,
+    convexUrl,
+    gatewayUrl,
+    gatewayToken,
+    relaySecret,
+    ...newKeys,
+  };
+  if (mintedSecret) await saveFastclawConfig(config);
+
+  const qrPayload = JSON.stringify({ convexUrl, code, relayPublicKey });
 
   console.log("Scan this QR code in the FastClaw iOS app:\n");
   qrcode.generate(qrPayload, { small: true });
@@ -110,16 +110,21 @@ async function main() {
     const status = await convex.query("pairing:checkPairingStatus", { code });
 
     if (status?.status === "claimed") {
-      const config = {
-        instanceId,
-        instanceName,
-        convexUrl,
-        gatewayUrl,
-        gatewayToken,
-      };
-
       await saveFastclawConfig(config);
 
+      // Hand the device its content keys now; the relay also does this for codes from generate-pairing
+      if (status?.deviceId && status?.devicePublicKey) {
+        const keys = await readFastclawConfig();
+        await convex.mutation("pairing:setDeviceKey", {
+          instanceId,
+          relaySecret,
+          deviceId: status.deviceId,
+          publicKey: status.devicePublicKey,
+          wrappedKey: wrapContentKey(keys, status.devicePublicKey),
+          wrappedPreviousKeys: wrapPreviousContentKeys(keys, status.devicePublicKey),
+        });
+      }
+
       const deviceName = status?.deviceName ?? status?.deviceId ?? "Unknown device";
       console.log(`Pairing successful. Connected device: ${deviceName}`);
       console.log(`Saved config to ${FASTCLAW_CONFIG_PATH}`);
@@ -1,17 +1,44 @@
-import { promises as fs } from "node:fs";
+import { promises as fs, watch } from "node:fs";
 import os from "node:os";
 import path from "node:path";
-import { createHash, generateKeyPairSync, randomUUID, sign } from "node:crypto";
-import { execSync } from "node:child_process";
+import { createHash, randomUUID } from "node:crypto";
 import { setTimeout as sleep } from "node:timers/promises";
-import { ConvexHttpClient } from "convex/browser";
+import { format } from "node:util";
+import { ConvexClient, ConvexHttpClient } from "convex/browser";
 import WebSocket from "ws";
+import { createCipher, hasE2EKeys, rotateContentKey, wrapContentKey, wrapPreviousContentKeys } from "./lib/e2e.mjs";
+import { DEFAULT_GATEWAY_URL, GatewayConnection, runCli } from "./lib/gateway.mjs";
+import { Logger, parseLevel } from "./lib/logger.mjs";
+import { Metrics, startMetricsServer } from "./lib/metrics.mjs";
+import { Outbox } from "./lib/outbox.mjs";
 
-const DEFAULT_GATEWAY_URL = "ws://127.0.0.1:18789";
 const CONFIG_PATH = path.join(os.homedir(), ".openclaw", "fastclaw", "config.json");
-const APP_POLL_MS = 2000;
+const SYNC_STATE_PATH = path.join(os.homedir(), ".openclaw", "fastclaw", "sync-state.json");
+const OUTBOX_PATH = path.join(os.homedir(), ".openclaw", "fastclaw", "outbox.jsonl");
+const APP_POLL_MS = 2000; // fallback only, while the Convex subscription is down
 const HEARTBEAT_MS = 30000;
+const CONVEX_STALE_MS = 3 * HEARTBEAT_MS; // /healthz reports Convex unreachable after this long without a successful call
 const SESSION_SYNC_MS = 15000;
+const STREAM_THROTTLE_MS = 750;
+const PUSH_FLUSH_MS = 250; // gateway messages are batched into pushManyFromGateway
+const PUSH_BATCH_MAX = 50;
+const DELIVERY_MAX_ATTEMPTS = 5; // then the app message is marked failed
+const DELIVERY_BACKOFF_MS = 2000; // doubles per attempt
+const DELIVERY_BACKOFF_MAX_MS = 60000;
+const HISTORY_PAGE = 50;
+const HISTORY_MAX = 1000; // gateway caps chat.history limit
+const INLINE_CONTENT_MAX = 32000; // longer bodies move to Convex file storage
+const TOOL_ARGS_MAX = 2000;
+const TOOL_RESULT_MAX = 2000;
+// Per file, both ways: larger agent media is skipped; matches messages:sendFromApp for app attachments
+const ATTACHMENT_MAX_BYTES = 20 * 1024 * 1024;
+const TEXT_ATTACHMENT_MAX_CHARS = 200000; // text files are inlined into the message
+const SKILL_INSTALL_TIMEOUT_MS = 180000; // ClawHub downloads can be slow
+const CRON_JOB_ID = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,127}$/; // matches cronJobs:requestAction
+const CRON_ACTIONS = new Set(["enable", "disable", "run", "remove", "create", "update"]);
+const SKILL_SLUG = /^[a-z0-9][a-z0-9-]{0,63}$/; // matches skills:requestAction
+const SKILL_KEY = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+const SKILL_MISSING_KINDS = ["bins", "anyBins", "env", "config", "os"];
 
 function nowMs() {
   return Date.now();
@@ -30,28 +57,256 @@ function parseJson(text) {
   }
 }
 
+// Per-session history cursors, mirrored in Convex (sessions.syncCursor) so either copy can restore the other
+async function loadSyncState() {
+  try {
+    const state = JSON.parse(await fs.readFile(SYNC_STATE_PATH, "utf8"));
+    return { cursors: state?.cursors ?? {}, backfilled: state?.backfilled ?? {} };
+  } catch {
+    return { cursors: {}, backfilled: {} };
+  }
+}
+
+async function saveSyncState(state) {
+  const tmpPath = `${SYNC_STATE_PATH}.tmp`;
+  await fs.mkdir(path.dirname(SYNC_STATE_PATH), { recursive: true });
+  await fs.writeFile(tmpPath, `${JSON.stringify(state)}\n`, "utf8");
+  await fs.rename(tmpPath, SYNC_STATE_PATH);
+}
+
+// Config paths may be written as ~/...; nothing runs through a shell to expand them
+function expandHome(filePath) {
+  return filePath === "~" || filePath.startsWith("~/") ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+// Read a download into memory, refusing it once it passes `maxBytes`: up front
+// from content-length, otherwise as soon as the streamed body crosses the limit
+async function readBody(resp, maxBytes) {
+  const declared = Number(resp.headers.get("content-length"));
+  if (declared > maxBytes) {
+    await resp.body?.cancel();
+    throw rejection(`${declared} bytes exceeds the ${maxBytes} byte limit`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  // Throwing out of the loop cancels the stream
+  for await (const chunk of resp.body ?? []) {
+    size += chunk.length;
+    if (size > maxBytes) throw rejection(`more than ${maxBytes} bytes exceeds the limit`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function parseMetricsPort(value) {
+  if (value === undefined || value === null) return null;
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid metricsPort in ${CONFIG_PATH}: ${value}`);
+  }
+  return port;
+}
+
 async function loadConfig() {
   const raw = await fs.readFile(CONFIG_PATH, "utf8");
   const cfg = JSON.parse(raw);
 
   if (!cfg.convexUrl) throw new Error(`Missing convexUrl in ${CONFIG_PATH}`);
   if (!cfg.instanceId) throw new Error(`Missing instanceId in ${CONFIG_PATH}`);
+  if (!cfg.relaySecret) {
+    throw new Error(`Missing relaySecret in ${CONFIG_PATH}. Run the pair command again to register this relay.`);
+  }
 
   return {
     convexUrl: cfg.convexUrl,
     instanceId: cfg.instanceId,
     instanceName: cfg.instanceName ?? os.hostname(),
+    relaySecret: cfg.relaySecret,
     gatewayUrl: cfg.gatewayUrl ?? DEFAULT_GATEWAY_URL,
     gatewayToken: cfg.gatewayToken ?? process.env.OPENCLAW_GATEWAY_TOKEN ?? null,
+    // Sessions gone from the gateway: "archive" hides them, "delete" also removes their messages
+    missingSessions: cfg.missingSessions === "delete" ? "delete" : "archive",
+    logging: {
+      level: parseLevel(process.env.FASTCLAW_LOG_LEVEL ?? cfg.logLevel),
+      json: cfg.logFormat === "json",
+      file: cfg.logFile ? expandHome(cfg.logFile) : null,
+      maxBytes: cfg.logMaxBytes,
+      maxFiles: cfg.logMaxFiles,
+      // Message text stays out of logs unless explicitly allowed
+      logContent: cfg.logContent === true,
+    },
+    // Opt-in /healthz and /metrics on 127.0.0.1
+    metricsPort: parseMetricsPort(cfg.metricsPort),
+    // Where ClawHub installs skills (into its skills/ folder)
+    workspaceDir: expandHome(cfg.workspaceDir ?? path.join(os.homedir(), ".openclaw", "workspace")),
+    ...(hasE2EKeys(cfg)
+      ? {
+          e2ePrivateKey: cfg.e2ePrivateKey,
+          e2ePublicKey: cfg.e2ePublicKey,
+          e2eContentKey: cfg.e2eContentKey,
+          e2ePreviousContentKeys: cfg.e2ePreviousContentKeys ?? [],
+        }
+      : {}),
   };
 }
 
-function makeDeviceIdentity(instanceId) {
-  const { privateKey, publicKey } = generateKeyPairSync("ed25519");
-  const deviceId = `fastclaw-relay-${createHash("sha256").update(instanceId).digest("hex").slice(0, 16)}`;
-  const publicKeyB64 = publicKey.export({ format: "der", type: "spki" }).toString("base64");
+function extractText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .filter((part) => part?.type === "text" && typeof part?.text === "string")
+    .map((part) => part.text)
+    .join("\n");
+}
+
+function clip(text, max) {
+  return text.length > max ? { text: text.slice(0, max), truncated: true } : { text, truncated: false };
+}
+
+// Text parts repeat the message body, so when it overflows they share its inline
+// limit; the full text is in contentOverflow
+function clipTextParts(parts, max) {
+  let remaining = max;
+  return parts?.map((part) => {
+    if (part.type !== "text") return part;
+    const text = clip(part.text ?? "", remaining);
+    remaining -= text.text.length;
+    return text.truncated ? { ...part, text: text.text, truncated: true } : part;
+  });
+}
+
+function toolCallPart(part) {
+  const rawArgs = part.arguments ?? part.input ?? part.args ?? {};
+  const args = clip(typeof rawArgs === "string" ? rawArgs : JSON.stringify(rawArgs), TOOL_ARGS_MAX);
+  return {
+    type: "toolCall",
+    toolCallId: part.id ?? part.toolCallId ?? undefined,
+    toolName: part.name ?? part.toolName ?? "unknown",
+    arguments: args.text,
+    ...(args.truncated ? { truncated: true } : {}),
+  };
+}
+
+function toolResultPart(msg) {
+  const result = clip(extractText(msg.content), TOOL_RESULT_MAX);
+  return {
+    type: "toolResult",
+    toolCallId: msg.toolCallId ?? msg.tool_call_id ?? undefined,
+    toolName: msg.toolName ?? msg.name ?? undefined,
+    result: result.text,
+    isError: Boolean(msg.isError ?? msg.is_error ?? false),
+    ...(result.truncated ? { truncated: true } : {}),
+  };
+}
+
+function isToolResultMessage(msg) {
+  return msg?.role === "toolResult" || msg?.role === "tool";
+}
+
+// Map gateway content into structured parts. Plain text messages return undefined
+// so they keep the compact { content } shape.
+function extractParts(msg) {
+  if (isToolResultMessage(msg)) return [toolResultPart(msg)];
+  if (!Array.isArray(msg?.content)) return undefined;
+
+  const parts = [];
+  for (const part of msg.content) {
+    if (part?.type === "text" && typeof part.text === "string") {
+      parts.push({ type: "text", text: part.text });
+    } else if (part?.type === "toolCall" || part?.type === "tool_use" || part?.type === "toolUse") {
+      parts.push(toolCallPart(part));
+    }
+  }
+
+  return parts.some((part) => part.type !== "text") ? parts : undefined;
+}
+
+function gatewayRole(msg) {
+  if (isToolResultMessage(msg)) return "tool";
+  return msg?.role === "user" ? "user" : msg?.role === "assistant" ? "assistant" : "system";
+}
+
+// Images and files the agent produced. Parts carry base64 `data` (or an
+// Anthropic-style `source`) or a `url`, which may be a data: URL.
+function extractMedia(msg) {
+  if (isToolResultMessage(msg) || !Array.isArray(msg?.content)) return [];
+
+  const media = [];
+  for (const part of msg.content) {
+    if (!["image", "image_url", "file", "document"].includes(part?.type)) continue;
+
+    const source = part.source ?? {};
+    const data = part.data ?? (source.type === "base64" ? source.data : undefined);
+    const url = part.url ?? part.image_url?.url ?? source.url;
+    if (typeof data !== "string" && typeof url !== "string") continue;
+
+    media.push({
+      type: part.type === "image" || part.type === "image_url" ? "image" : "file",
+      data: typeof data === "string" ? data : undefined,
+      url: typeof data === "string" ? undefined : url,
+      mimeType: part.mimeType ?? part.media_type ?? source.media_type ?? source.mediaType,
+      filename: part.filename ?? part.name ?? source.filename,
+    });
+  }
+  return media;
+}
+
+// Every key the gateway gives a message, best first: chat.send's idempotencyKey
+// (the app message id, so an echoed app message maps back to it), then the message
+// id, then the run that produced it. Convex matches a message on any of them.
+function gatewayMessageKeys(msg, runId) {
+  const keys = [];
+  const idempotencyKey = msg?.idempotencyKey ?? msg?.__openclaw?.idempotencyKey;
+  if (typeof idempotencyKey === "string" && idempotencyKey) keys.push(`idem:${idempotencyKey}`);
+
+  const id = msg?.id ?? msg?.messageId ?? msg?.__openclaw?.id;
+  if (typeof id === "string" && id) keys.push(`id:${id}`);
+
+  const run = runId ?? msg?.runId ?? msg?.__openclaw?.runId;
+  if (typeof run === "string" && run) keys.push(`run:${run}`);
+  return keys;
+}
+
+// messages.messageKey is the best key; Convex records the others as aliases
+function keyFields(keys) {
+  if (!keys?.length) return {};
+  return { messageKey: keys[0], ...(keys.length > 1 ? { aliasKeys: keys.slice(1) } : {}) };
+}
+
+// Map a chat.history entry to pushFromGateway fields; null when there's nothing to show
+function historyMessage(msg) {
+  // Tool results carry their output in parts, not in content
+  const text = isToolResultMessage(msg) ? "" : extractText(msg?.content);
+  const parts = extractParts(msg);
+  const media = extractMedia(msg);
+  if (!text.trim() && !parts && media.length === 0) return null;
+
+  return {
+    role: gatewayRole(msg),
+    content: text,
+    timestamp: toNumber(msg.timestamp ?? msg.ts, null),
+    keys: gatewayMessageKeys(msg),
+    parts,
+    media,
+  };
+}
 
-  return { deviceId, privateKey, publicKeyB64 };
+// History entries without a timestamp take the previous entry's (or the next one's),
+// so they keep their place and the same timestamp on every sync, which dedupe relies
+// on. They're flagged `untimed` and never move the sync cursor.
+function fillMissingTimestamps(messages) {
+  let known = null;
+  for (const m of messages) {
+    if (m.timestamp === null) Object.assign(m, { timestamp: known, untimed: true });
+    else known = m.timestamp;
+  }
+  known = null;
+  for (const m of [...messages].reverse()) {
+    if (m.timestamp === null) m.timestamp = known ?? nowMs();
+    else if (!m.untimed) known = m.timestamp;
+  }
+  return messages;
 }
 
 function extractSessions(payload) {
@@ -97,11 +352,133 @@ function extractSessions(payload) {
         lastMessagePreview,
         updatedAt,
         createdAt,
+        ...(typeof (session?.model ?? session?.modelOverride) === "string"
+          ? { model: session.model ?? session.modelOverride }
+          : {}),
+        ...(typeof session?.thinkingLevel === "string" ? { thinkingLevel: session.thinkingLevel } : {}),
       };
     })
     .filter(Boolean);
 }
 
+function isTextMime(mimeType) {
+  return /^text\//.test(mimeType) || /^application\/(json|xml|x-yaml|yaml|javascript)$/.test(mimeType);
+}
+
+// For attribute values in the <file> blocks inlined into the prompt
+function escapeAttribute(text) {
+  return text.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Failures the app has to fix (unsupported or oversized files): no retry
+// A rejected message batch is retried one message per entry, keeping any uploads
+// already made for it
+function splitBatch(entry) {
+  if (!(entry.batch?.length > 1)) return null;
+  return entry.batch.map((item, i) => ({
+    name: entry.name,
+    args: entry.args,
+    batch: [item],
+    ...(entry.prepared?.[i] ? { prepared: [entry.prepared[i]] } : {}),
+  }));
+}
+
+function rejection(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+// Only the requirement lists that are actually unmet; undefined when nothing is missing
+function skillMissing(missing) {
+  const result = {};
+  for (const kind of SKILL_MISSING_KINDS) {
+    const items = Array.isArray(missing?.[kind]) ? missing[kind].filter((item) => typeof item === "string") : [];
+    if (items.length > 0) result[kind] = items;
+  }
+  return Object.keys(result).length > 0 ? result : undefined;
+}
+
+// cronJobs params → the gateway's job shape. On update only the given fields are sent;
+// a payload or timezone change without the matching field falls back to the job's current value.
+function cronJobSpec(params, job) {
+  const spec = {};
+  if (params.name !== undefined) spec.name = params.name;
+
+  const tz = params.scheduleTz ?? job?.scheduleTz;
+  const kind = params.scheduleKind ?? (params.scheduleExpr || params.scheduleTz ? job?.scheduleKind ?? "cron" : undefined);
+  if (kind === "cron") {
+    spec.schedule = { kind: "cron", expr: params.scheduleExpr ?? job?.scheduleExpr, ...(tz ? { tz } : {}) };
+  } else if (kind === "every" && (params.scheduleEveryMs ?? job?.scheduleEveryMs)) {
+    spec.schedule = { kind: "every", everyMs: params.scheduleEveryMs ?? job.scheduleEveryMs };
+  } else if (kind === "at" && (params.scheduleAt ?? job?.scheduleAt)) {
+    spec.schedule = { kind: "at", at: new Date(params.scheduleAt ?? job.scheduleAt).toISOString() };
+  }
+
+  const target = params.sessionTarget ?? job?.sessionTarget ?? "main";
+  if (params.sessionTarget) spec.sessionTarget = target;
+  if (params.payloadText !== undefined || (params.sessionTarget && job)) {
+    const text = params.payloadText ?? job?.payloadText ?? "";
+    spec.payload = target === "isolated" ? { kind: "agentTurn", message: text } : { kind: "systemEvent", text };
+  }
+  return spec;
+}
+
+// "openclaw cron add/edit" flags for a typed job definition from the app.
+// Main-session jobs post a system event; isolated jobs run an agent turn.
+function cronJobFlags(params, currentTarget) {
+  const flags = [];
+  if (params.name !== undefined) flags.push("--name", params.name);
+
+  if (params.scheduleKind === "cron" || (!params.scheduleKind && params.scheduleExpr)) {
+    flags.push("--cron", params.scheduleExpr);
+  } else if (params.scheduleKind === "every") {
+    const ms = params.scheduleEveryMs;
+    flags.push("--every", ms % 60000 === 0 ? `${ms / 60000}m` : `${ms}ms`);
+  } else if (params.scheduleKind === "at") {
+    flags.push("--at", new Date(params.scheduleAt).toISOString());
+  }
+  if (params.scheduleTz) flags.push("--tz", params.scheduleTz);
+
+  const target = params.sessionTarget ?? currentTarget ?? "main";
+  if (params.sessionTarget) flags.push("--session", target);
+  if (params.payloadText !== undefined) {
+    flags.push(target === "isolated" ? "--message" : "--system-event", params.payloadText);
+  }
+  return flags;
+}
+
+// Gateway RPC and CLI equivalent for each app cron action
+function cronActionCall(action, job) {
+  const id = action.jobId;
+  const params = action.params ?? {};
+  switch (action.action) {
+    case "enable":
+    case "disable":
+      return {
+        method: "cron.update",
+        params: { id, patch: { enabled: action.action === "enable" } },
+        cli: ["cron", action.action, id],
+      };
+    case "run":
+      return { method: "cron.run", params: { id, mode: "force" }, cli: ["cron", "run", id] };
+    case "remove":
+      return { method: "cron.remove", params: { id }, cli: ["cron", "rm", id] };
+    case "create":
+      return {
+        method: "cron.add",
+        params: { ...cronJobSpec(params, undefined), enabled: true },
+        cli: ["cron", "add", ...cronJobFlags(params, undefined)],
+      };
+    case "update":
+      return {
+        method: "cron.update",
+        params: { id, patch: cronJobSpec(params, job) },
+        cli: ["cron", "edit", id, ...cronJobFlags(params, job?.sessionTarget)],
+      };
+  }
+}
+
 function extractGatewayMessages(frame) {
   const payload = frame?.payload;
   const rawMessages = [];
@@ -119,220 +496,129 @@ function extractGatewayMessages(frame) {
       const role = m?.role === "assistant" || m?.role === "system" || m?.role === "user" ? m.role : "assistant";
       const timestamp = toNumber(m?.timestamp ?? m?.ts ?? m?.createdAt, nowMs());
 
-      return { sessionKey, role, content, timestamp };
+      return { sessionKey, role, content, timestamp, keys: gatewayMessageKeys(m) };
     })
     .filter(Boolean);
 }
 
-class GatewayConnection {
-  constructor(config) {
-    this.url = config.gatewayUrl;
-    this.token = config.gatewayToken;
-    this.instanceId = config.instanceId;
-    this.instanceName = config.instanceName;
-    this.identity = makeDeviceIdentity(config.instanceId);
+class Relay {
+  constructor(config, log = new Logger()) {
+    this.config = config;
+    this.log = log;
+    this.convex = new ConvexHttpClient(config.convexUrl);
+    // Reactive client for subscriptions; Node 20 has no global WebSocket
+    this.live = new ConvexClient(config.convexUrl, {
+      webSocketConstructor: WebSocket,
+      logger: {
+        logVerbose: (...args) => log.debug(`convex: ${format(...args)}`),
+        log: (...args) => log.info(`convex: ${format(...args)}`),
+        warn: (...args) => log.warn(`convex: ${format(...args)}`),
+        error: (...args) => log.error(`convex: ${format(...args)}`),
+      },
+    });
+    this.liveErrors = new Set();
+    this.serialized = new Map();
+    this.appRetryTimer = null;
 
-    this.ws = null;
-    this.pending = new Map();
-    this.handlers = new Set();
-    this.connected = false;
-    this.closed = false;
+    this.running = true;
+    this.reconnectAttempt = 0;
+    this.recentGatewayMessageHashes = new Map();
+    this.streams = new Map();
+    this.syncState = { cursors: {}, backfilled: {} };
+    this.knownSessionKeys = null;
+    this.cipher = hasE2EKeys(config) ? createCipher(config) : null;
+    this.sealedCache = new Map();
+    this.configWatcher = null;
+    this.keyRotatedFor = null;
+    this.lastModelsJson = null;
+    this.cronJobs = [];
+    // Message writes to Convex go through the outbox so outages don't lose them
+    this.outbox = new Outbox(OUTBOX_PATH, (entry) => this.sendQueued(entry), { log, split: splitBatch });
+    this.pendingPushes = [];
+    this.pushFlushTimer = null;
+    this.conn = null;
+    this.lastHeartbeatAt = null;
+    this.lastConvexOkAt = null;
+    this.metricsServer = null;
+    this.metrics = this.createMetrics();
   }
 
-  onFrame(handler) {
-    this.handlers.add(handler);
-    return () => this.handlers.delete(handler);
+  createMetrics() {
+    const metrics = new Metrics();
+    metrics.counter("fastclaw_messages_forwarded_total", "App messages the gateway accepted");
+    metrics.counter("fastclaw_messages_pushed_total", "Gateway messages newly stored in Convex");
+    metrics.counter("fastclaw_delivery_failures_total", "App message sends that failed (each retry counts)");
+    metrics.counter("fastclaw_convex_errors_total", "Convex queries and mutations that failed");
+    metrics.counter("fastclaw_heartbeat_failures_total", "Heartbeats Convex did not accept");
+    metrics.counter("fastclaw_gateway_reconnects_total", "Gateway reconnect attempts");
+    metrics.counter("fastclaw_cron_actions_total", "Cron actions processed, by result");
+    metrics.gauge("fastclaw_gateway_connected", "1 while the gateway connection is up", () =>
+      this.conn?.connected ? 1 : 0
+    );
+    metrics.gauge("fastclaw_convex_reachable", "1 while Convex calls are succeeding", () =>
+      this.convexReachable() ? 1 : 0
+    );
+    metrics.gauge("fastclaw_last_heartbeat_age_seconds", "Seconds since the last accepted heartbeat", () =>
+      this.lastHeartbeatAt ? (nowMs() - this.lastHeartbeatAt) / 1000 : null
+    );
+    metrics.gauge("fastclaw_outbox_depth", "Convex writes queued in the outbox", () => this.outbox.depth);
+    metrics.gauge("fastclaw_active_streams", "Replies currently streaming", () => this.streams.size);
+    return metrics;
   }
 
-  async open() {
-    this.closed = false;
-    this.ws = new WebSocket(this.url);
-
-    const connected = new Promise((resolve, reject) => {
-      let connectTimeout = null;
-      let fallbackTimer = null;
-      let settled = false;
-
-      const settle = (fn, value) => {
-        if (settled) return;
-        settled = true;
-        clearTimeout(connectTimeout);
-        clearTimeout(fallbackTimer);
-        fn(value);
-      };
-
-      connectTimeout = setTimeout(() => {
-        settle(reject, new Error("Gateway connect timeout"));
-      }, 15000);
-
-      const sendConnect = async (challenge) => {
-        try {
-          const payload = {
-            minProtocol: 3,
-            maxProtocol: 3,
-            client: {
-              id: "gateway-client",
-              displayName: "FastClaw Relay",
-              version: "1.0.0",
-              platform: process.platform,
-              mode: "backend",
-            },
-            role: "operator",
-            scopes: ["operator.read", "operator.write"],
-            caps: [],
-            auth: { token: this.token },
-          };
-
-          console.log("sending connect frame...");
-          const response = await this.request("connect", payload, 12000);
-          console.log("connect response:", JSON.stringify(response).slice(0, 300));
-          const type = response?.type ?? response?.event;
-          if (type !== "hello-ok") {
-            throw new Error(`Unexpected connect response type: ${type ?? "unknown"}`);
-          }
-
-          this.serverVersion = response?.server?.version ?? "unknown";
-          this.connected = true;
-          settle(resolve);
-        } catch (err) {
-          settle(reject, err);
-        }
-      };
-
-      this.ws.once("open", () => {
-        fallbackTimer = setTimeout(() => {
-          void sendConnect(null);
-        }, 200);
-      });
-
-      this.ws.on("message", (raw) => {
-        const frame = parseJson(String(raw));
-        if (!frame) return;
-
-        if (frame.id && this.pending.has(frame.id)) {
-          const p = this.pending.get(frame.id);
-          clearTimeout(p.timer);
-          this.pending.delete(frame.id);
-
-          if (frame.ok === false) {
-            p.reject(new Error(frame.error?.message ?? "Gateway RPC error"));
-          } else {
-            p.resolve(frame.payload ?? frame.result ?? frame);
-          }
-          return;
-        }
-
-        if (frame.type === "connect.challenge" || frame.event === "connect.challenge") {
-          console.log("received challenge, sending connect...");
-          void sendConnect(frame.payload ?? frame.data ?? {});
-          return;
-        }
-
-        for (const handler of this.handlers) handler(frame);
-      });
-
-      this.ws.once("error", (err) => {
-        settle(reject, err);
-      });
-
-      this.ws.once("close", () => {
-        if (!this.connected) settle(reject, new Error("Gateway closed before connect"));
-      });
-    });
-
-    await connected;
+  convexReachable() {
+    return this.lastConvexOkAt !== null && nowMs() - this.lastConvexOkAt < CONVEX_STALE_MS;
   }
 
-  request(method, payload, timeoutMs = 10000) {
-    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-      return Promise.reject(new Error("Gateway socket is not open"));
-    }
-
-    const id = randomUUID();
-    const frame = { type: "req", id, method, params: payload };
-
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        this.pending.delete(id);
-        reject(new Error(`Gateway RPC timeout for ${method}`));
-      }, timeoutMs);
-
-      this.pending.set(id, { resolve, reject, timer });
-      this.ws.send(JSON.stringify(frame));
-    });
+  health() {
+    const gatewayConnected = Boolean(this.conn?.connected);
+    const convexReachable = this.convexReachable();
+    return {
+      ok: gatewayConnected && convexReachable,
+      gatewayConnected,
+      convexReachable,
+      reconnectAttempt: this.reconnectAttempt,
+      lastHeartbeatAt: this.lastHeartbeatAt,
+      outboxDepth: this.outbox.depth,
+    };
   }
 
-  async close() {
-    if (this.closed) return;
-    this.closed = true;
-    this.connected = false;
+  async start() {
+    this.log.info("fastclaw relay starting...");
+    this.syncState = await loadSyncState();
+    const queued = await this.outbox.load();
+    if (queued > 0) this.log.info(`replaying ${queued} queued Convex writes`);
+    this.outbox.drain();
+    this.watchConfig();
 
-    for (const p of this.pending.values()) {
-      clearTimeout(p.timer);
-      p.reject(new Error("Gateway connection closing"));
+    try {
+      const requeued = await this.mutation("skills:requeueRunning");
+      if (requeued > 0) this.log.info(`re-queued ${requeued} skill actions cut off by the last shutdown`);
+    } catch (err) {
+      this.log.warn(`skill action re-queue failed: ${err.message}`);
     }
-    this.pending.clear();
-
-    if (!this.ws) return;
-
-    const ws = this.ws;
-    this.ws = null;
 
-    await new Promise((resolve) => {
-      const done = () => resolve();
-      ws.once("close", done);
-      ws.once("error", done);
-      try {
-        ws.close(1000, "fastclaw shutdown");
-      } catch {
-        resolve();
-      }
-      setTimeout(done, 500).unref?.();
-    });
-  }
-
-  waitForClose() {
-    if (!this.ws) return Promise.resolve();
-    return new Promise((resolve) => {
-      this.ws.once("close", () => {
-        this.connected = false;
-        resolve();
+    if (this.config.metricsPort) {
+      this.metricsServer = await startMetricsServer({
+        port: this.config.metricsPort,
+        metrics: this.metrics,
+        health: () => this.health(),
       });
-      this.ws.once("error", () => {
-        this.connected = false;
-        resolve();
-      });
-    });
-  }
-}
-
-class Relay {
-  constructor(config) {
-    this.config = config;
-    this.convex = new ConvexHttpClient(config.convexUrl);
-
-    this.running = true;
-    this.reconnectAttempt = 0;
-    this.recentGatewayMessageHashes = new Map();
-    this.pendingDeltas = new Map();
-    this.conn = null;
-  }
-
-  async start() {
-    console.log("fastclaw relay starting...");
+      this.log.info(`health and metrics on http://127.0.0.1:${this.config.metricsPort}`);
+    }
 
     while (this.running) {
-      this.conn = new GatewayConnection(this.config);
+      this.conn = new GatewayConnection(this.config, { log: this.log });
 
       try {
         await this.conn.open();
         this.reconnectAttempt = 0;
-        console.log(`connected to gateway at ${this.config.gatewayUrl}`);
+        this.log.info(`connected to gateway at ${this.config.gatewayUrl}`);
 
         await this.runConnected(this.conn);
       } catch (err) {
         if (!this.running) break;
-        console.error(`connection error: ${err.message}`);
+        this.log.warn(`connection error: ${err.message}`);
       } finally {
         await this.conn.close().catch(() => {});
         this.conn = null;
@@ -341,14 +627,15 @@ class Relay {
       if (!this.running) break;
 
       this.reconnectAttempt += 1;
+      this.metrics.inc("fastclaw_gateway_reconnects_total");
       const backoff = Math.min(30000, 1000 * 2 ** Math.min(this.reconnectAttempt, 5));
       const jitter = Math.floor(Math.random() * 500);
       const waitMs = backoff + jitter;
-      console.log(`reconnecting in ${waitMs}ms`);
+      this.log.info(`reconnecting in ${waitMs}ms`);
       await sleep(waitMs);
     }
 
-    console.log("fastclaw relay stopped");
+    this.log.info("fastclaw relay stopped");
   }
 
   async runConnected(conn) {
@@ -356,43 +643,24 @@ class Relay {
 
     const onFrame = (frame) => {
       const evt = frame?.event ?? frame?.type;
-      if (evt && evt !== "tick" && evt !== "health") {
-        console.log(`[frame] event=${evt} payload=${JSON.stringify(frame?.payload ?? frame).slice(0, 300)}`);
+      if (evt && evt !== "tick" && evt !== "health" && this.log.enabled("debug")) {
+        this.log.debug("frame", { event: evt, payload: this.log.redact(frame?.payload ?? frame) });
       }
-      // Gateway broadcasts "chat" events with state: delta|final|error
+      // Gateway broadcasts "chat" events with state: delta|final|aborted|error
       if (evt === "chat") {
         const p = frame?.payload ?? frame;
         const runId = p?.runId;
         const sessionKey = p?.sessionKey;
         if (runId && sessionKey) {
           if (p?.state === "delta" && p?.message) {
-            // Track latest accumulated text per runId
-            let text = "";
-            if (Array.isArray(p.message.content)) {
-              text = p.message.content
-                .filter((c) => c?.type === "text")
-                .map((c) => c.text)
-                .join("\n");
-            } else if (typeof p.message.content === "string") {
-              text = p.message.content;
-            }
-            if (text) this.pendingDeltas.set(runId, { sessionKey, text, timestamp: p.message.timestamp ?? nowMs() });
+            this.handleChatDelta(runId, sessionKey, p.message);
           } else if (p?.state === "final") {
-            // Push final message (from final payload or accumulated delta)
-            let text = "";
-            if (p?.message) {
-              if (Array.isArray(p.message.content)) {
-                text = p.message.content.filter((c) => c?.type === "text").map((c) => c.text).join("\n");
-              } else if (typeof p.message.content === "string") {
-                text = p.message.content;
-              }
-            }
-            const delta = this.pendingDeltas.get(runId);
-            this.pendingDeltas.delete(runId);
-            const finalText = text || delta?.text || "";
-            if (finalText.trim()) {
-              void this.pushChatEvent({ sessionKey, message: { role: "assistant", content: finalText, timestamp: delta?.timestamp ?? nowMs() } });
-            }
+            void this.finishStream(runId, sessionKey, p?.message);
+          } else if (p?.state === "aborted") {
+            void this.finishStream(runId, sessionKey, p?.message, { aborted: true });
+          } else if (p?.state === "error") {
+            const error = String(p?.errorMessage ?? p?.error?.message ?? p?.error ?? "Run failed");
+            void this.finishStream(runId, sessionKey, p?.message, { error });
           }
         }
       }
@@ -404,12 +672,50 @@ class Relay {
 
     const off = conn.onFrame(onFrame);
 
-    const appPoll = setInterval(() => {
+    // App messages and cron actions arrive over the Convex websocket as soon as they're written
+    const subscribe = (name, label, onResult) =>
+      this.live.onUpdate(
+        name,
+        this.authArgs(),
+        (result) => {
+          this.liveErrors.delete(label);
+          onResult(result);
+        },
+        (err) => {
+          this.liveErrors.add(label);
+          if (this.running) this.log.error(`${label} subscription failed: ${err.message}`);
+        }
+      );
+
+    const unsubscribeApp = subscribe("messages:getUnsyncedFromApp", "app messages", (unsynced) => {
+      void this.forwardUnsyncedAppMessages(conn, unsynced);
+    });
+    const unsubscribeCron = subscribe("cronJobs:getPendingActions", "cron actions", (actions) => {
+      if (actions?.length > 0) void this.processCronActions(conn);
+    });
+    const unsubscribeAbort = subscribe("sessions:getAbortRequests", "abort requests", (requests) => {
+      if (requests?.length > 0) void this.processAbortRequests(conn, requests);
+    });
+    const unsubscribeSessionActions = subscribe("sessions:getPendingActions", "session actions", (actions) => {
+      if (actions?.length > 0) void this.processSessionActions(conn);
+    });
+    const unsubscribeSkillActions = subscribe("skills:getPendingActions", "skill actions", (actions) => {
+      if (actions?.length > 0) void this.processSkillActions(conn);
+    });
+
+    // Poll only while the subscription is down (websocket dropped or query erroring)
+    const fallbackPoll = setInterval(() => {
+      if (this.subscriptionsLive()) return;
       void this.forwardUnsyncedAppMessages(conn);
+      void this.processCronActions(conn);
+      void this.processAbortRequests(conn);
+      void this.processSessionActions(conn);
+      void this.processSkillActions(conn);
     }, APP_POLL_MS);
 
     const heartbeat = setInterval(() => {
       void this.sendHeartbeat();
+      void this.reloadKeys().then(() => this.distributeDeviceKeys());
     }, HEARTBEAT_MS);
 
     const sessionSync = setInterval(() => {
@@ -418,30 +724,30 @@ class Relay {
 
     const healthSync = setInterval(() => {
       void this.syncHealth(conn);
-      void this.syncCronJobs();
+      void this.syncModels(conn);
+      void this.syncCronJobs(conn);
     }, 60_000);
 
-    const cronActionsPoll = setInterval(() => {
-      void this.processCronActions();
-    }, 5_000);
-
-    console.log("starting relay loops (heartbeat, session sync, health, app poll)...");
+    this.log.info("starting relay loops (heartbeat, session sync, health, app subscription)...");
     await this.sendHeartbeat();
-    console.log("heartbeat sent");
+    this.log.info("heartbeat sent");
+    await this.distributeDeviceKeys();
     await this.syncSessions(conn);
-    console.log("sessions synced");
+    this.log.info("sessions synced");
     await this.syncHealth(conn);
-    console.log("health synced");
+    this.log.info("health synced");
+    await this.syncModels(conn);
+    this.log.info("models synced");
     await this.syncIdentity();
-    console.log("identity synced");
-    await this.syncSkills();
-    console.log("skills synced");
-    await this.syncCronJobs();
-    console.log("cron jobs synced");
+    this.log.info("identity synced");
+    await this.syncSkills(conn);
+    this.log.info("skills synced");
+    await this.syncCronJobs(conn);
+    this.log.info("cron jobs synced");
     await this.syncHistoryForSessions(conn);
-    console.log("history synced");
+    this.log.info("history synced");
     await this.forwardUnsyncedAppMessages(conn);
-    console.log("initial app message check done, entering wait loop...");
+    this.log.info("initial app message check done, entering wait loop...");
 
     try {
       await conn.waitForClose();
@@ -449,11 +755,19 @@ class Relay {
       if (!stopping) {
         stopping = true;
         off();
-        clearInterval(appPoll);
+        unsubscribeApp();
+        unsubscribeCron();
+        unsubscribeAbort();
+        unsubscribeSessionActions();
+        unsubscribeSkillActions();
+        clearInterval(fallbackPoll);
         clearInterval(heartbeat);
         clearInterval(sessionSync);
         clearInterval(healthSync);
-        clearInterval(cronActionsPoll);
+        // Don't leave half-streamed replies showing as typing in the app
+        for (const [runId, stream] of this.streams) {
+          void this.finishStream(runId, stream.sessionKey, null);
+        }
       }
     }
   }
@@ -512,18 +826,41 @@ class Relay {
         channels,
       };
 
-      await this.convex.mutation("sessions:pushHealth", {
-        instanceId: this.config.instanceId,
+      await this.mutation("sessions:pushHealth", {
         healthData,
       });
 
       // Also update version in heartbeat
-      await this.convex.mutation("sessions:heartbeat", {
-        instanceId: this.config.instanceId,
+      await this.mutation("sessions:heartbeat", {
         version,
       });
     } catch (err) {
-      if (this.running) console.error(`health sync failed: ${err.message}`);
+      if (this.running) this.log.error(`health sync failed: ${err.message}`);
+    }
+  }
+
+  async syncModels(conn) {
+    try {
+      const payload = await conn.request("models.list", {});
+      const list = Array.isArray(payload?.models) ? payload.models : Array.isArray(payload) ? payload : [];
+
+      const models = list
+        .filter((m) => typeof m?.id === "string")
+        .map((m) => ({
+          id: m.id,
+          ...(typeof m.provider === "string" ? { provider: m.provider } : {}),
+          ...(typeof m.name === "string" ? { name: m.name } : {}),
+          ...(typeof m.contextWindow === "number" ? { contextWindow: m.contextWindow } : {}),
+          ...(typeof m.reasoning === "boolean" ? { reasoning: m.reasoning } : {}),
+        }));
+
+      // The list rarely changes: skip the write (and the app re-render) when it didn't
+      const json = JSON.stringify(models);
+      if (json === this.lastModelsJson) return;
+      await this.mutation("sessions:pushModels", { models });
+      this.lastModelsJson = json;
+    } catch (err) {
+      if (this.running) this.log.error(`model list sync failed: ${err.message}`);
     }
   }
 
@@ -552,22 +889,17 @@ class Relay {
       if (emojiMatch) identity.emoji = emojiMatch[1].trim();
       if (!identity.name && !identity.emoji) return;
 
-      await this.convex.mutation("sessions:pushIdentity", {
-        instanceId: this.config.instanceId,
+      await this.mutation("sessions:pushIdentity", {
         identity,
       });
     } catch (err) {
-      if (this.running) console.error(`identity sync failed: ${err.message}`);
+      if (this.running) this.log.error(`identity sync failed: ${err.message}`);
     }
   }
 
-  async syncSkills() {
+  async syncSkills(conn) {
     try {
-      const raw = execSync("openclaw skills list --json", {
-        encoding: "utf-8",
-        timeout: 15000,
-      });
-      const data = JSON.parse(raw);
+      const data = await conn.requestOrCli("skills.status", {}, ["skills", "list", "--json"]);
       const skills = (data.skills ?? []).map((s) => ({
         name: s.name,
         description: s.description ?? "",
@@ -575,24 +907,22 @@ class Relay {
         eligible: s.eligible ?? false,
         source: s.source ?? "unknown",
         homepage: s.homepage ?? undefined,
+        skillKey: s.skillKey && s.skillKey !== s.name ? s.skillKey : undefined,
+        disabled: s.disabled ?? undefined,
+        missing: skillMissing(s.missing),
       }));
 
-      await this.convex.mutation("skills:sync", {
-        instanceId: this.config.instanceId,
+      await this.mutation("skills:sync", {
         skills,
       });
     } catch (err) {
-      if (this.running) console.error(`skills sync failed: ${err.message}`);
+      if (this.running) this.log.error(`skills sync failed: ${err.message}`);
     }
   }
 
-  async syncCronJobs() {
+  async syncCronJobs(conn) {
     try {
-      const raw = execSync("openclaw cron list --json", {
-        encoding: "utf-8",
-        timeout: 15000,
-      });
-      const data = JSON.parse(raw);
+      const data = await conn.requestOrCli("cron.list", { includeDisabled: true }, ["cron", "list", "--json"]);
       const jobs = (data.jobs ?? []).map((j) => ({
         id: j.id,
         name: j.name ?? undefined,
@@ -613,39 +943,43 @@ class Relay {
         deliveryMode: j.delivery?.mode ?? undefined,
       }));
 
-      await this.convex.mutation("cronJobs:sync", {
-        instanceId: this.config.instanceId,
+      await this.mutation("cronJobs:sync", {
         jobs,
       });
+      this.cronJobs = jobs;
     } catch (err) {
-      if (this.running) console.error(`cron jobs sync failed: ${err.message}`);
+      if (this.running) this.log.error(`cron jobs sync failed: ${err.message}`);
     }
   }
 
-  async processCronActions() {
+  processCronActions(conn) {
+    return this.runSerialized("cronActions", () => this.processPendingCronActions(conn));
+  }
+
+  async processPendingCronActions(conn) {
     try {
-      const actions = await this.convex.query("cronJobs:getPendingActions", {
-        instanceId: this.config.instanceId,
-      });
+      const actions = await this.query("cronJobs:getPendingActions");
       if (!actions || actions.length === 0) return;
 
       for (const action of actions) {
         try {
-          const cmdMap = {
-            enable: `openclaw cron enable ${action.jobId}`,
-            disable: `openclaw cron disable ${action.jobId}`,
-            run: `openclaw cron run ${action.jobId}`,
-            remove: `openclaw cron rm ${action.jobId}`,
-          };
-          const cmd = cmdMap[action.action];
-          if (!cmd) throw new Error(`Unknown cron action: ${action.action}`);
-          execSync(cmd, { encoding: "utf-8", timeout: 15000 });
-          await this.convex.mutation("cronJobs:completeAction", {
+          // Convex validates these too; re-check before anything reaches the gateway or CLI
+          if (!CRON_ACTIONS.has(action.action)) throw new Error(`Unknown cron action: ${action.action}`);
+          if (action.action !== "create" && !CRON_JOB_ID.test(action.jobId)) {
+            throw new Error(`Invalid job id: ${action.jobId}`);
+          }
+
+          const job = this.cronJobs.find((j) => j.id === action.jobId);
+          const call = cronActionCall(action, job);
+          await conn.requestOrCli(call.method, call.params, call.cli);
+          this.metrics.inc("fastclaw_cron_actions_total", { status: "done" });
+          await this.mutation("cronJobs:completeAction", {
             actionId: action._id,
             status: "done",
           });
         } catch (err) {
-          await this.convex.mutation("cronJobs:completeAction", {
+          this.metrics.inc("fastclaw_cron_actions_total", { status: "error" });
+          await this.mutation("cronJobs:completeAction", {
             actionId: action._id,
             status: "error",
             error: err.message?.slice(0, 200),
@@ -653,206 +987,964 @@ class Relay {
         }
       }
       // Refresh cron state after processing actions
-      await this.syncCronJobs();
+      await this.syncCronJobs(conn);
     } catch (err) {
-      if (this.running) console.error(`cron actions processing failed: ${err.message}`);
+      if (this.running) this.log.error(`cron actions processing failed: ${err.message}`);
     }
   }
 
-  async syncSessions(conn) {
+  // Installs can take minutes; serialized so ClawHub never runs twice at once
+  processSkillActions(conn) {
+    return this.runSerialized("skillActions", () => this.processPendingSkillActions(conn));
+  }
+
+  async processPendingSkillActions(conn) {
     try {
-      const payload = await conn.request("sessions.list", {});
-      const sessions = extractSessions(payload);
-      if (sessions.length === 0) return;
+      const actions = await this.query("skills:getPendingActions");
+      if (!actions || actions.length === 0) return;
 
-      await this.convex.mutation("sessions:syncFromGateway", {
-        instanceId: this.config.instanceId,
-        sessions,
-      });
+      for (const action of actions) {
+        const { skill } = action;
+        try {
+          await this.mutation("skills:updateAction", { actionId: action._id, status: "running" });
+
+          // Convex validates these too; re-check before anything reaches ClawHub or the gateway
+          if (action.action === "enable" || action.action === "disable") {
+            if (!SKILL_KEY.test(skill)) throw new Error(`Invalid skill key: ${skill}`);
+            await conn.request("skills.update", { skillKey: skill, enabled: action.action === "enable" });
+          } else if (["install", "update", "uninstall"].includes(action.action)) {
+            if (!SKILL_SLUG.test(skill)) throw new Error(`Invalid ClawHub slug: ${skill}`);
+            const args = [action.action, skill, "--workdir", this.config.workspaceDir, "--no-input"];
+            if (action.action === "uninstall") args.push("--yes");
+            await runCli("clawhub", args, SKILL_INSTALL_TIMEOUT_MS);
+          } else {
+            throw new Error(`Unknown skill action: ${action.action}`);
+          }
+
+          await this.mutation("skills:updateAction", { actionId: action._id, status: "done" });
+          this.log.info(`skill ${action.action} done for ${skill}`);
+        } catch (err) {
+          this.log.error(`skill ${action.action} failed for ${skill}: ${err.message}`);
+          await this.mutation("skills:updateAction", {
+            actionId: action._id,
+            status: "error",
+            error: err.message?.slice(0, 200),
+          });
+        }
+      }
+      // Refresh eligibility and the installed list after processing actions
+      await this.syncSkills(conn);
     } catch (err) {
-      if (this.running) console.error(`session sync failed: ${err.message}`);
+      if (this.running) this.log.error(`skill actions processing failed: ${err.message}`);
     }
   }
 
-  async pushChatEvent(payload) {
+  // Serialized: a reconcile pass may delete sessions, which must not run twice at once
+  syncSessions(conn) {
+    return this.runSerialized("sessions", () => this.syncSessionList(conn));
+  }
+
+  async syncSessionList(conn) {
     try {
-      const sessionKey = payload?.sessionKey;
-      const msg = payload?.message;
-      if (!sessionKey || !msg) return;
-
-      let text = "";
-      if (typeof msg.content === "string") {
-        text = msg.content;
-      } else if (Array.isArray(msg.content)) {
-        text = msg.content
-          .filter((part) => part?.type === "text" && typeof part?.text === "string")
-          .map((part) => part.text)
-          .join("\n");
+      const payload = await conn.request("sessions.list", {});
+      const sessions = extractSessions(payload);
+      // Missing sessions are only reconciled against the whole list: the gateway has to
+      // report the total (and no further page), and every entry has to parse
+      const list = Array.isArray(payload?.sessions) ? payload.sessions : null;
+      const complete =
+        list !== null &&
+        sessions.length === list.length &&
+        payload.count === list.length &&
+        !payload.hasMore &&
+        !payload.nextCursor;
+
+      const { removable = [] } =
+        (await this.mutation("sessions:syncFromGateway", {
+          sessions: sessions.map((session) => ({
+            ...session,
+            title: this.sealCached(session.title),
+            lastMessagePreview: this.sealCached(session.lastMessagePreview),
+          })),
+          complete,
+        })) ?? {};
+
+      if (this.config.missingSessions === "delete") {
+        for (const sessionKey of removable) {
+          await this.removeSession(sessionKey);
+          this.log.info(`deleted ${sessionKey} (no longer on the gateway)`);
+        }
+      }
+
+      // Backfill sessions that appear while connected (the connect-time pass covers the rest)
+      const discovered = this.knownSessionKeys
+        ? sessions.filter((session) => !this.knownSessionKeys.has(session.sessionKey))
+        : [];
+      this.knownSessionKeys = new Set([...(this.knownSessionKeys ?? []), ...sessions.map((s) => s.sessionKey)]);
+      for (const session of discovered) {
+        void this.syncSessionHistory(conn, { sessionKey: session.sessionKey });
       }
-      if (!text.trim()) return;
+    } catch (err) {
+      if (this.running) this.log.error(`session sync failed: ${err.message}`);
+    }
+  }
 
-      const role = msg.role === "user" ? "user" : msg.role === "assistant" ? "assistant" : "system";
-      const timestamp = toNumber(msg.timestamp, nowMs());
+  handleChatDelta(runId, sessionKey, message) {
+    // Deltas carry the accumulated text so far, not just the new chunk
+    const text = extractText(message.content);
+    if (!text) return;
 
-      await this.convex.mutation("messages:pushFromGateway", {
-        instanceId: this.config.instanceId,
+    let stream = this.streams.get(runId);
+    if (!stream) {
+      stream = {
         sessionKey,
-        role,
-        content: text.slice(0, 4000),
-        timestamp,
-      });
-      console.log(`pushed ${role} message to Convex for ${sessionKey}`);
+        text,
+        timestamp: toNumber(message.timestamp, nowMs()),
+        pushedText: "",
+        timer: null,
+        chain: Promise.resolve(),
+      };
+      this.streams.set(runId, stream);
+      // First delta creates the streaming record right away
+      this.flushStream(runId, stream);
+      return;
+    }
+
+    stream.text = text;
+    if (!stream.timer) {
+      stream.timer = setTimeout(() => {
+        stream.timer = null;
+        this.flushStream(runId, stream);
+      }, STREAM_THROTTLE_MS);
+    }
+  }
+
+  flushStream(runId, stream) {
+    // Chain pushes per run so patches (and the final) land in order
+    stream.chain = stream.chain.then(async () => {
+      const text = stream.text;
+      if (text === stream.pushedText) return;
+
+      try {
+        // While Convex is unreachable, queued deltas for the run collapse into the latest
+        await this.queueMutation(
+          "messages:pushStreamDelta",
+          {
+            sessionKey: stream.sessionKey,
+            runId,
+            // Full bodies go to file storage on final; the live view only needs the inline part
+            content: this.seal(text.slice(0, INLINE_CONTENT_MAX)),
+            timestamp: stream.timestamp,
+            encrypted: this.cipher ? true : undefined,
+          },
+          { key: `delta:${runId}` }
+        );
+        stream.pushedText = text;
+      } catch (err) {
+        if (this.running) this.log.error(`stream delta queue failed: ${err.message}`);
+      }
+    });
+  }
+
+  async finishStream(runId, sessionKey, message, { aborted = false, error } = {}) {
+    // Final payload often has no message: fall back to the accumulated delta text
+    const stream = this.streams.get(runId);
+    this.streams.delete(runId);
+    if (stream?.timer) clearTimeout(stream.timer);
+
+    const text = (message ? extractText(message.content) : "") || stream?.text || "";
+    const parts = message ? extractParts(message) : undefined;
+    const media = message ? extractMedia(message) : [];
+    const timestamp = stream?.timestamp ?? toNumber(message?.timestamp, nowMs());
+    const keys = gatewayMessageKeys(message, runId);
+
+    await stream?.chain;
+    try {
+      await this.queueMessage(
+        "messages:finalizeStream",
+        {
+          sessionKey,
+          runId,
+          timestamp,
+          ...(aborted ? { aborted } : {}),
+          // Run errors quote the conversation: sealed like the reply
+          ...(error ? { error: this.seal(error.slice(0, 500)) } : {}),
+          ...keyFields(keys),
+        },
+        { content: text, parts, media }
+      );
+      if (error) this.log.error(`run ${runId} failed in ${sessionKey}`, this.log.redact({ errorMessage: error }));
+      else if (aborted) this.log.info(`run ${runId} aborted in ${sessionKey}`);
+      else if (text.trim()) this.log.info(`queued assistant message for ${sessionKey}`);
     } catch (err) {
-      console.error(`pushChatEvent failed: ${err.message}`);
+      this.log.error(`finalize stream failed: ${err.message}`);
     }
   }
 
   async syncHistoryForSessions(conn) {
     try {
-      // Get all sessions from Convex
-      const sessions = await this.convex.query("sessions:getForInstance", {
-        instanceId: this.config.instanceId,
-      });
+      // Get all sessions from Convex (with their sync cursors)
+      const sessions = await this.query("sessions:getForInstance");
       if (!Array.isArray(sessions) || sessions.length === 0) return;
 
       for (const session of sessions) {
-        const sessionKey = session?.sessionKey;
-        if (!sessionKey) continue;
-
-        try {
-          const payload = await conn.request("chat.history", { sessionKey, limit: 50 });
-          const rawMessages = payload?.messages ?? [];
-          const messages = [];
-
-          for (const msg of rawMessages) {
-            if (msg.role === "toolResult" || msg.role === "tool") continue;
-
-            // Extract text from structured content
-            let text = "";
-            if (typeof msg.content === "string") {
-              text = msg.content;
-            } else if (Array.isArray(msg.content)) {
-              text = msg.content
-                .filter((part) => part?.type === "text" && typeof part?.text === "string")
-                .map((part) => part.text)
-                .join("\n");
-            }
-
-            if (!text.trim()) continue;
-
-            const role = msg.role === "user" ? "user" : msg.role === "assistant" ? "assistant" : "system";
-            messages.push({
-              role,
-              content: text.slice(0, 4000), // cap length
-              timestamp: toNumber(msg.timestamp ?? msg.ts, nowMs()),
-            });
-          }
+        if (!session?.sessionKey) continue;
+        await this.syncSessionHistory(conn, session);
+      }
+    } catch (err) {
+      if (this.running) this.log.error(`history sync failed: ${err.message}`);
+    }
+  }
 
-          if (messages.length === 0) continue;
+  // Push messages newer than the session cursor. Sessions never backfilled get
+  // their whole history once, oldest first, advancing the cursor page by page.
+  syncSessionHistory(conn, session) {
+    const sessionKey = session.sessionKey;
 
-          // Push to Convex
-          for (const m of messages) {
-            try {
-              await this.convex.mutation("messages:pushFromGateway", {
-                instanceId: this.config.instanceId,
+    return this.runSerialized(`history:${sessionKey}`, async () => {
+      try {
+        const backfill = !session.backfilledAt && !this.syncState.backfilled[sessionKey];
+        // A backfill still starts from the cursor, so an interrupted one resumes
+        const cursor = Math.max(this.syncState.cursors[sessionKey] ?? 0, session.syncCursor ?? 0);
+
+        const rawMessages = await this.fetchHistorySince(conn, sessionKey, backfill ? null : cursor);
+        // Untimed entries can't be placed against the cursor; Convex dedupes the repeats
+        const messages = fillMissingTimestamps(rawMessages.map(historyMessage).filter(Boolean))
+          .filter((m) => m.untimed || m.timestamp > cursor)
+          .sort((a, b) => a.timestamp - b.timestamp);
+
+        for (let i = 0; i < messages.length; i += HISTORY_PAGE) {
+          const page = messages.slice(i, i + HISTORY_PAGE);
+          for (const m of page) {
+            // Duplicates are skipped by pushManyFromGateway
+            await this.queueGatewayMessage(
+              {
                 sessionKey,
                 role: m.role,
-                content: m.content,
                 timestamp: m.timestamp,
-              });
-            } catch {
-              // skip duplicates or errors
-            }
+                ...keyFields(m.keys),
+              },
+              { content: m.content, parts: m.parts, media: m.media }
+            );
           }
-          console.log(`synced ${messages.length} messages for ${sessionKey}`);
-        } catch (err) {
-          console.log(`history sync failed for ${sessionKey}: ${err.message}`);
+          const timed = page.filter((m) => !m.untimed);
+          if (timed.length > 0) await this.advanceSyncCursor(sessionKey, timed[timed.length - 1].timestamp, false);
         }
+
+        if (backfill) await this.advanceSyncCursor(sessionKey, cursor, true);
+        if (messages.length > 0) {
+          this.log.info(`${backfill ? "backfilled" : "synced"} ${messages.length} messages for ${sessionKey}`);
+        }
+      } catch (err) {
+        this.log.warn(`history sync failed for ${sessionKey}: ${err.message}`);
       }
-    } catch (err) {
-      if (this.running) console.error(`history sync failed: ${err.message}`);
+    });
+  }
+
+  // chat.history returns the newest `limit` messages, so widen the limit until the
+  // page reaches the cursor or the whole history fits. Past the gateway's cap, page
+  // back with `before` (the oldest timestamp so far) until the start of the history.
+  async fetchHistorySince(conn, sessionKey, cursor) {
+    const timestampOf = (m) => toNumber(m?.timestamp ?? m?.ts, null);
+    const reachedCursor = (page) => cursor !== null && page.some((m) => (timestampOf(m) ?? Infinity) <= cursor);
+
+    let limit = cursor === null ? HISTORY_MAX : HISTORY_PAGE;
+    let messages;
+    while (true) {
+      const payload = await conn.request("chat.history", { sessionKey, limit });
+      messages = payload?.messages ?? [];
+      if (reachedCursor(messages) || messages.length < limit || limit >= HISTORY_MAX) break;
+      limit = Math.min(limit * 4, HISTORY_MAX);
     }
+
+    let page = messages;
+    while (page.length >= HISTORY_MAX && !reachedCursor(page)) {
+      const oldest = Math.min(...page.map(timestampOf).filter((ts) => ts !== null));
+      if (!Number.isFinite(oldest)) break;
+
+      let older;
+      try {
+        const payload = await conn.request("chat.history", { sessionKey, limit: HISTORY_MAX, before: oldest });
+        // A gateway that ignores `before` sends the newest page again
+        older = (payload?.messages ?? []).filter((m) => (timestampOf(m) ?? Infinity) < oldest);
+      } catch (err) {
+        older = [];
+        this.log.warn(`chat.history paging failed for ${sessionKey}: ${err.message}`);
+      }
+      if (older.length === 0) {
+        this.log.warn(`${sessionKey}: history before ${new Date(oldest).toISOString()} is out of chat.history's reach`);
+        break;
+      }
+
+      messages = [...older, ...messages];
+      page = older;
+    }
+    return messages;
   }
 
-  async forwardUnsyncedAppMessages(conn) {
+  async advanceSyncCursor(sessionKey, timestamp, backfilled) {
+    // The page's messages must be in the outbox file before the cursor moves past them
+    await this.flushPushes();
+
+    const cursor = Math.max(this.syncState.cursors[sessionKey] ?? 0, timestamp);
+    this.syncState.cursors[sessionKey] = cursor;
+    if (backfilled) this.syncState.backfilled[sessionKey] = true;
+
     try {
-      const unsynced = await this.convex.query("messages:getUnsyncedFromApp", {
-        instanceId: this.config.instanceId,
-      });
+      await saveSyncState(this.syncState);
+    } catch (err) {
+      this.log.error(`failed to save sync state: ${err.message}`);
+    }
 
-      if (!Array.isArray(unsynced) || unsynced.length === 0) return;
-      console.log(`found ${unsynced.length} unsynced app messages`);
+    // Queued behind the page's messages, so the Convex cursor never runs ahead of them
+    await this.queueMutation("sessions:setSyncCursor", {
+      sessionKey,
+      cursor,
+      ...(backfilled ? { backfilled: true } : {}),
+    });
+  }
 
-      const syncedIds = [];
-      for (const message of unsynced) {
-        console.log(`forwarding to gateway: "${message.content}" → session ${message.sessionKey}`);
-        const sent = await this.sendToGateway(conn, message);
-        console.log(`forward result: ${sent ? "OK" : "FAILED"}`);
-        if (sent && message?._id) syncedIds.push(message._id);
+  // `snapshot` is the subscription result; reruns queued while busy fetch fresh
+  forwardUnsyncedAppMessages(conn, snapshot = null) {
+    let pending = snapshot;
+    return this.runSerialized("appMessages", async () => {
+      const unsynced = pending ?? (await this.query("messages:getUnsyncedFromApp").catch((err) => {
+        if (this.running) this.log.error(`app message fetch failed: ${err.message}`);
+        return [];
+      }));
+      pending = null;
+
+      const retryAt = await this.forwardAppMessages(conn, unsynced);
+      // The subscription only fires on changes, so backed-off sends need their own timer
+      if (retryAt && conn.connected) {
+        clearTimeout(this.appRetryTimer);
+        this.appRetryTimer = setTimeout(() => {
+          this.appRetryTimer = null;
+          if (conn.connected) void this.forwardUnsyncedAppMessages(conn);
+        }, Math.max(0, retryAt - nowMs()));
       }
+    });
+  }
+
+  // Returns the earliest time a backed-off message is due again, if any
+  async forwardAppMessages(conn, unsynced) {
+    let retryAt = null;
+    try {
+      if (!Array.isArray(unsynced) || unsynced.length === 0) return retryAt;
+      this.log.debug(`found ${unsynced.length} unsynced app messages`);
 
-      if (syncedIds.length > 0) {
-        await this.convex.mutation("messages:markSynced", { messageIds: syncedIds });
+      for (const message of unsynced) {
+        if (message.nextAttemptAt > nowMs()) {
+          retryAt = Math.min(retryAt ?? Infinity, message.nextAttemptAt);
+          continue;
+        }
+
+        this.log.debug(`forwarding app message ${message._id} → session ${message.sessionKey}`);
+        const result = await this.sendToGateway(conn, message);
+        if (result.ok) this.log.info(`forwarded app message ${message._id} → session ${message.sessionKey}`);
+        else this.log.warn(`forwarding app message ${message._id} failed: ${result.error}`);
+        this.metrics.inc(result.ok ? "fastclaw_messages_forwarded_total" : "fastclaw_delivery_failures_total");
+
+        const next = this.deliveryUpdate(message, result);
+        if (next.nextAttemptAt) retryAt = Math.min(retryAt ?? Infinity, next.nextAttemptAt);
+        try {
+          await this.mutation("messages:updateDelivery", { messageId: message._id, ...next });
+        } catch (err) {
+          this.log.error(`delivery update failed: ${err.message}`);
+        }
       }
     } catch (err) {
-      if (this.running) console.error(`app message forward failed: ${err.message}`);
+      if (this.running) this.log.error(`app message forward failed: ${err.message}`);
+    }
+    return retryAt;
+  }
+
+  // Bounded exponential backoff; permanent errors fail right away
+  deliveryUpdate(message, result) {
+    if (result.ok) {
+      return {
+        status: "sent",
+        ...(result.runId ? { runId: result.runId } : {}),
+        ...(result.digest ? { digest: result.digest } : {}),
+      };
+    }
+
+    const attempts = (message.deliveryAttempts ?? 0) + 1;
+    const error = this.seal(String(result.error ?? "Send failed").slice(0, 500));
+    if (result.permanent || attempts >= DELIVERY_MAX_ATTEMPTS) {
+      return { status: "failed", error, attempts };
     }
+
+    const delay = Math.min(DELIVERY_BACKOFF_MS * 2 ** (attempts - 1), DELIVERY_BACKOFF_MAX_MS);
+    return { status: "queued", error, attempts, nextAttemptAt: nowMs() + delay };
   }
 
+  // Resolves to { ok, runId } or { ok: false, error, permanent }; permanent errors are not retried
   async sendToGateway(conn, message) {
     const sessionKey = message?.sessionKey;
-    const content = message?.content || "";
+    let content;
+    try {
+      content = await this.appMessageContent(message);
+    } catch (err) {
+      this.log.error(`failed to read app message: ${err.message}`);
+      return { ok: false, error: `Could not read message: ${err.message}` };
+    }
     const hasAttachments = Array.isArray(message?.attachments) && message.attachments.length > 0;
-    if (!sessionKey || (!content && !hasAttachments)) return false;
+    if (!sessionKey || (!content && !hasAttachments)) {
+      return { ok: false, error: "Message has no session or content", permanent: true };
+    }
 
     const idempotencyKey = typeof message?._id === "string" ? message._id : randomUUID();
 
-    const payload = { sessionKey, message: content, idempotencyKey };
-
-    // Forward image attachments as base64 for vision model
-    if (Array.isArray(message?.attachments) && message.attachments.length > 0) {
-      const imageAttachments = message.attachments.filter((a) => a.type === "image" && a.url);
-      if (imageAttachments.length > 0) {
-        const converted = [];
-        for (const att of imageAttachments) {
-          try {
-            const resp = await fetch(att.url);
-            const buf = Buffer.from(await resp.arrayBuffer());
-            const mimeType = att.mimeType || resp.headers.get("content-type") || "image/jpeg";
-            converted.push({ type: "image", mimeType, content: buf.toString("base64") });
-            console.log(`downloaded image (${buf.length} bytes, ${mimeType}) for gateway`);
-          } catch (err) {
-            console.error(`failed to download image attachment: ${err.message}`);
-          }
-        }
-        if (converted.length > 0) payload.attachments = converted;
-      }
+    let converted;
+    try {
+      converted = await this.gatewayAttachments(message.attachments ?? []);
+    } catch (err) {
+      this.log.error(`failed to prepare attachments: ${err.message}`);
+      return { ok: false, error: err.message, permanent: Boolean(err.permanent) };
     }
 
+    // Text files travel inline; the agent reads them as part of the message
+    const text = [content, ...converted.inline].filter(Boolean).join("\n\n");
+    const payload = { sessionKey, message: text, idempotencyKey };
+    if (converted.attachments.length > 0) payload.attachments = converted.attachments;
+
     const attempts = [
       { method: "chat.send", payload },
     ];
 
+    let lastError = "Gateway did not accept the message";
     for (const attempt of attempts) {
       try {
-        console.log(`trying ${attempt.method}...`);
+        this.log.debug(`trying ${attempt.method}...`);
         const response = await conn.request(attempt.method, attempt.payload);
-        console.log(`${attempt.method} response:`, JSON.stringify(response).slice(0, 300));
+        this.log.debug(`${attempt.method} response`, { response: this.log.redact(response) });
         const frame = { payload: response };
         await this.pushGatewayMessages(extractGatewayMessages(frame));
-        return true;
+        return {
+          ok: true,
+          runId: typeof response?.runId === "string" ? response.runId : undefined,
+          digest: this.digest(text),
+        };
       } catch (err) {
-        console.log(`${attempt.method} failed: ${err.message}`);
+        this.log.debug(`${attempt.method} failed: ${err.message}`);
+        lastError = err.message;
       }
     }
 
-    return false;
+    return { ok: false, error: lastError };
+  }
+
+  processSessionActions(conn) {
+    return this.runSerialized("sessionActions", () => this.processPendingSessionActions(conn));
+  }
+
+  // Create/rename/reset/delete sessions the app asked for, via gateway RPCs
+  async processPendingSessionActions(conn) {
+    try {
+      const actions = await this.query("sessions:getPendingActions");
+      if (!actions || actions.length === 0) return;
+
+      let settingsChanged = false;
+      for (const action of actions) {
+        const key = action.sessionKey;
+        try {
+          const label = action.title ? this.open(action.title) : undefined;
+          if (action.action === "create") {
+            // Resetting an unknown key creates it with a fresh transcript
+            await conn.request("sessions.reset", { key });
+            if (label) await conn.request("sessions.patch", { key, label });
+          } else if (action.action === "rename") {
+            await conn.request("sessions.patch", { key, label });
+          } else if (action.action === "reset") {
+            await conn.request("sessions.reset", { key });
+          } else if (action.action === "delete") {
+            await conn.request("sessions.delete", { key });
+            await this.removeSession(key);
+          } else if (action.action === "settings") {
+            await conn.request("sessions.patch", {
+              key,
+              ...(action.model ? { model: action.model } : {}),
+              ...(action.thinkingLevel ? { thinkingLevel: action.thinkingLevel } : {}),
+            });
+            settingsChanged = true;
+          } else {
+            throw new Error(`Unknown session action: ${action.action}`);
+          }
+
+          await this.mutation("sessions:completeAction", { actionId: action._id, status: "done" });
+          this.log.info(`session ${action.action} done for ${key}`);
+        } catch (err) {
+          this.log.error(`session ${action.action} failed for ${key}: ${err.message}`);
+          await this.mutation("sessions:completeAction", {
+            actionId: action._id,
+            status: "error",
+            error: err.message?.slice(0, 200),
+          });
+        }
+      }
+      // Refresh titles and the session list after processing actions
+      await this.syncSessions(conn);
+      // So the app shows the new active model right away
+      if (settingsChanged) await this.syncHealth(conn);
+    } catch (err) {
+      if (this.running) this.log.error(`session actions processing failed: ${err.message}`);
+    }
+  }
+
+  // Delete a session and its messages from Convex, a batch per mutation
+  async removeSession(sessionKey) {
+    await this.flushPushes();
+    for (;;) {
+      const { done } = await this.mutation("sessions:removeSession", { sessionKey });
+      if (done) break;
+    }
+    delete this.syncState.cursors[sessionKey];
+    delete this.syncState.backfilled[sessionKey];
+    this.knownSessionKeys?.delete(sessionKey);
+    await saveSyncState(this.syncState).catch((err) => {
+      this.log.error(`failed to save sync state: ${err.message}`);
+    });
+  }
+
+  // Cancel runs the app asked to stop. The gateway then emits an "aborted" chat
+  // event, which finalizes the partial reply and clears the session's active run.
+  processAbortRequests(conn, snapshot) {
+    return this.runSerialized("abortRequests", async () => {
+      let requests = snapshot;
+      snapshot = undefined;
+      try {
+        requests ??= await this.query("sessions:getAbortRequests");
+      } catch (err) {
+        if (this.running) this.log.error(`abort request fetch failed: ${err.message}`);
+        return;
+      }
+
+      for (const { sessionKey, runId } of requests ?? []) {
+        let ended = false;
+        try {
+          const response = await conn.request("chat.abort", { sessionKey, runId });
+          // aborted:false means the run had already finished
+          ended = response?.aborted === false;
+          this.log.info(`chat.abort ${runId} in ${sessionKey}`);
+          this.log.debug("chat.abort response", { response: this.log.redact(response) });
+        } catch (err) {
+          this.log.error(`chat.abort failed for ${sessionKey}: ${err.message}`);
+        }
+
+        try {
+          await this.mutation("sessions:completeAbort", { sessionKey, runId, ended });
+        } catch (err) {
+          this.log.error(`failed to complete abort request: ${err.message}`);
+        }
+      }
+    });
+  }
+
+  // Relay-side Convex calls are authenticated with the instance secret from config.json
+  authArgs(args = {}) {
+    return {
+      instanceId: this.config.instanceId,
+      relaySecret: this.config.relaySecret,
+      ...args,
+    };
+  }
+
+  // Durable write: persisted locally first, sent in order once Convex accepts it.
+  // Buffered gateway messages are flushed first so nothing overtakes them.
+  queueMutation(name, args, options) {
+    const flushed = this.flushPushes();
+    return Promise.all([flushed, this.outbox.enqueue({ name, args }, options)]);
+  }
+
+  // Messages are sealed and uploaded when sent, so the upload also waits out an outage
+  queueMessage(name, args, message) {
+    const flushed = this.flushPushes();
+    return Promise.all([flushed, this.outbox.enqueue({ name, args, message })]);
+  }
+
+  // Gateway messages collect for PUSH_FLUSH_MS and go out as one pushManyFromGateway
+  queueGatewayMessage(args, message) {
+    this.pendingPushes.push({ args, message });
+    if (this.pendingPushes.length >= PUSH_BATCH_MAX) return this.flushPushes();
+
+    this.pushFlushTimer ??= setTimeout(() => {
+      void this.flushPushes().catch((err) => this.log.error(`message batch queue failed: ${err.message}`));
+    }, PUSH_FLUSH_MS);
+  }
+
+  // Enqueues synchronously, so callers can rely on the batch being ahead of their own entry
+  flushPushes() {
+    clearTimeout(this.pushFlushTimer);
+    this.pushFlushTimer = null;
+    if (this.pendingPushes.length === 0) return Promise.resolve();
+
+    const batch = this.pendingPushes.splice(0);
+    return this.outbox.enqueue({ name: "messages:pushManyFromGateway", args: {}, batch });
+  }
+
+  async sendQueued(entry) {
+    // Keep uploads across retries so a failed mutation doesn't upload again
+    if (entry.batch) {
+      entry.prepared ??= [];
+      for (let i = entry.prepared.length; i < entry.batch.length; i++) {
+        const { args, message } = entry.batch[i];
+        // History syncs resend messages Convex has; don't upload their media again
+        const stored = (fields) =>
+          args.messageKey || fields.digest
+            ? this.query("messages:isStored", { ...args, content: fields.content, digest: fields.digest })
+            : false;
+        entry.prepared.push({ ...args, ...(await this.prepareMessage(message, stored)) });
+      }
+      // Count only the rows Convex added, not duplicates it skipped
+      const { inserted } = await this.mutation(entry.name, { ...entry.args, messages: entry.prepared });
+      if (inserted > 0) this.metrics.inc("fastclaw_messages_pushed_total", {}, inserted);
+      return;
+    }
+
+    entry.prepared ??= entry.message ? await this.prepareMessage(entry.message) : {};
+    const result = await this.mutation(entry.name, { ...entry.args, ...entry.prepared });
+    // A finished stream writes the reply itself, unless it was stored already
+    if (entry.name === "messages:finalizeStream" && result?.inserted) this.metrics.inc("fastclaw_messages_pushed_total");
+  }
+
+  mutation(name, args) {
+    return this.trackConvex(this.convex.mutation(name, this.authArgs(args)));
+  }
+
+  query(name, args) {
+    return this.trackConvex(this.convex.query(name, this.authArgs(args)));
+  }
+
+  // Feeds /healthz and the Convex error counter
+  async trackConvex(call) {
+    try {
+      const result = await call;
+      this.lastConvexOkAt = nowMs();
+      return result;
+    } catch (err) {
+      this.metrics.inc("fastclaw_convex_errors_total");
+      throw err;
+    }
+  }
+
+  subscriptionsLive() {
+    return this.live.connectionState().isWebSocketConnected && this.liveErrors.size === 0;
+  }
+
+  // Keep at most one run of `task` in flight per name. Calls that arrive while it
+  // runs collapse into a single rerun once it finishes.
+  async runSerialized(name, task) {
+    let state = this.serialized.get(name);
+    if (!state) {
+      state = { running: false, again: false };
+      this.serialized.set(name, state);
+    }
+    if (state.running) {
+      state.again = true;
+      return;
+    }
+
+    state.running = true;
+    try {
+      do {
+        state.again = false;
+        await task();
+      } while (state.again && this.running);
+    } finally {
+      state.running = false;
+    }
+  }
+
+  // Keyed hash Convex dedupes sealed messages by; undefined without e2e (plaintext compares directly)
+  digest(content, parts) {
+    return this.cipher?.digest(`${content}\u0000${JSON.stringify(parts ?? [])}`);
+  }
+
+  seal(text) {
+    return this.cipher ? this.cipher.seal(text) : text;
+  }
+
+  open(text) {
+    return this.cipher ? this.cipher.open(text) : text;
+  }
+
+  // Session titles/previews are re-synced every few seconds: reuse envelopes so
+  // unchanged values don't produce new ciphertext (and a Convex write) each time
+  sealCached(text) {
+    if (!this.cipher || !text) return text;
+
+    let sealed = this.sealedCache.get(text);
+    if (!sealed) {
+      if (this.sealedCache.size >= 1000) this.sealedCache.clear();
+      sealed = this.cipher.seal(text);
+      this.sealedCache.set(text, sealed);
+    }
+    return sealed;
+  }
+
+  // Convex fields for a gateway message: sealed content, parts, preview and digest when e2e is on
+  sealMessage({ content, parts }) {
+    if (!this.cipher) return { content, parts };
+
+    const sealOptional = (text) => (text === undefined ? undefined : this.cipher.seal(text));
+    return {
+      content: this.cipher.seal(content),
+      parts: parts?.map((part) => ({
+        ...part,
+        text: sealOptional(part.text),
+        arguments: sealOptional(part.arguments),
+        result: sealOptional(part.result),
+      })),
+      preview: content.trim() ? this.cipher.seal(content.slice(0, 100)) : undefined,
+      digest: this.digest(content, parts),
+      encrypted: true,
+    };
+  }
+
+  // Message fields for Convex. Bodies over INLINE_CONTENT_MAX keep an inline prefix;
+  // the full (sealed) text is uploaded and referenced by contentOverflow.
+  // Agent media is uploaded and referenced by attachments.
+  // `stored` says whether Convex already has this message; its uploads are skipped then
+  async prepareMessage({ content, parts, media }, stored = async () => false) {
+    const inline = content.length <= INLINE_CONTENT_MAX;
+    const sealed = this.sealMessage(
+      inline ? { content, parts } : { content: content.slice(0, INLINE_CONTENT_MAX), parts: clipTextParts(parts, INLINE_CONTENT_MAX) }
+    );
+    if ((media?.length || !inline) && (await stored(sealed))) return sealed;
+
+    const attachments = await this.uploadMedia(media);
+    const withAttachments = (fields) => (attachments ? { ...fields, attachments } : fields);
+
+    if (inline) return withAttachments(sealed);
+
+    const storageId = await this.uploadText(this.seal(content));
+    return withAttachments({
+      ...sealed,
+      contentOverflow: {
+        storageId,
+        length: content.length,
+        ...(this.cipher ? { encrypted: true } : {}),
+      },
+    });
+  }
+
+  uploadText(text) {
+    return this.upload(text, "text/plain; charset=utf-8");
+  }
+
+  async upload(body, contentType) {
+    const uploadUrl = await this.mutation("files:generateUploadUrl");
+    const resp = await fetch(uploadUrl, {
+      method: "POST",
+      headers: { "Content-Type": contentType },
+      body,
+    });
+    if (!resp.ok) throw new Error(`upload failed: HTTP ${resp.status}`);
+
+    const { storageId } = await resp.json();
+    return storageId;
+  }
+
+  // Under e2e the bytes are sealed as base64 text and the filename is sealed too.
+  // A failed item is skipped so the rest of the message still lands.
+  async uploadMedia(media) {
+    if (!media?.length) return undefined;
+
+    const attachments = [];
+    for (const item of media) {
+      try {
+        let bytes;
+        let mimeType = item.mimeType;
+        if (item.data) {
+          // Decoded size, checked before decoding
+          const size = Math.floor((item.data.length * 3) / 4);
+          if (size > ATTACHMENT_MAX_BYTES) {
+            this.log.warn(`skipping ${item.type} of ${size} bytes (limit ${ATTACHMENT_MAX_BYTES})`);
+            continue;
+          }
+          bytes = Buffer.from(item.data, "base64");
+        } else {
+          const protocol = new URL(item.url).protocol;
+          if (!["http:", "https:", "data:"].includes(protocol)) throw new Error(`unsupported URL scheme ${protocol}`);
+          const resp = await fetch(item.url);
+          if (!resp.ok) throw new Error(`download failed: HTTP ${resp.status}`);
+          bytes = await readBody(resp, ATTACHMENT_MAX_BYTES);
+          mimeType ??= resp.headers.get("content-type") ?? undefined;
+        }
+        mimeType ??= item.type === "image" ? "image/png" : "application/octet-stream";
+
+        const storageId = this.cipher
+          ? await this.uploadText(this.seal(bytes.toString("base64")))
+          : await this.upload(bytes, mimeType);
+        attachments.push({
+          type: item.type,
+          storageId,
+          mimeType,
+          size: bytes.length,
+          ...(item.filename ? { filename: this.seal(String(item.filename)) } : {}),
+          ...(this.cipher ? { encrypted: true } : {}),
+        });
+        this.log.info(`uploaded agent ${item.type} (${bytes.length} bytes, ${mimeType})`);
+      } catch (err) {
+        this.log.error(`agent ${item.type} upload failed: ${err.message}`);
+      }
+    }
+    return attachments.length > 0 ? attachments : undefined;
+  }
+
+  // Download app attachments. Images, audio and other binaries become chat.send
+  // attachments ({ type, mimeType, fileName, content: base64 }); text files are
+  // returned as inline blocks. Sealed uploads are envelopes of the base64 bytes.
+  async gatewayAttachments(list) {
+    const inline = [];
+    const attachments = [];
+
+    for (const att of list) {
+      const filename = att.filename ? this.open(att.filename) : undefined;
+      const label = filename ?? att.type;
+
+      // Only files in this instance's Convex storage: a URL from the app could point anywhere
+      if (!att.storageId) throw rejection(`${label}: attachments must be uploaded to file storage`);
+      const url = await this.query("files:getUrl", { storageId: att.storageId });
+      if (!url) throw rejection(`${label}: file not found`);
+
+      const resp = await fetch(url);
+      if (!resp.ok) throw new Error(`${label}: download failed (HTTP ${resp.status})`);
+      // A sealed file is an envelope (base64) of the base64 bytes: about 16/9 of the size
+      const limit = att.encrypted ? Math.ceil((ATTACHMENT_MAX_BYTES * 16) / 9) + 64 : ATTACHMENT_MAX_BYTES;
+      const body = await readBody(resp, limit).catch((err) => {
+        throw err.permanent ? rejection(`${label}: ${err.message}`) : err;
+      });
+      const bytes = att.encrypted ? Buffer.from(this.open(body.toString("utf8")), "base64") : body;
+      if (bytes.length > ATTACHMENT_MAX_BYTES) {
+        throw rejection(`${label}: ${bytes.length} bytes exceeds the ${ATTACHMENT_MAX_BYTES} byte limit`);
+      }
+
+      const mimeType = (
+        att.mimeType ||
+        (att.encrypted ? null : resp.headers.get("content-type")) ||
+        (att.type === "image" ? "image/jpeg" : "application/octet-stream")
+      ).split(";")[0].trim().toLowerCase();
+
+      if (isTextMime(mimeType)) {
+        const text = bytes.toString("utf8");
+        if (text.length > TEXT_ATTACHMENT_MAX_CHARS) {
+          throw rejection(`${label}: text files are limited to ${TEXT_ATTACHMENT_MAX_CHARS} characters`);
+        }
+        inline.push(`<file name="${escapeAttribute(label)}" type="${escapeAttribute(mimeType)}">\n${text}\n</file>`);
+        this.log.info(`inlined text attachment (${text.length} chars, ${mimeType})`);
+        continue;
+      }
+
+      const type = mimeType.startsWith("image/") ? "image" : mimeType.startsWith("audio/") ? "audio" : "file";
+      if (type === "file" && mimeType !== "application/pdf") {
+        throw rejection(`${label}: ${mimeType} files are not supported`);
+      }
+      attachments.push({
+        type,
+        mimeType,
+        ...(filename ? { fileName: filename } : {}),
+        content: bytes.toString("base64"),
+      });
+      this.log.info(`downloaded ${type} (${bytes.length} bytes, ${mimeType}) for gateway`);
+    }
+
+    return { inline, attachments };
+  }
+
+  // Full text of an app message, fetching the overflow body when the app uploaded one
+  async appMessageContent(message) {
+    if (!message?.contentOverflow) return this.open(message?.content || "");
+
+    const url = await this.query("files:getUrl", { storageId: message.contentOverflow.storageId });
+    if (!url) throw new Error("overflow body not found");
+
+    const resp = await fetch(url);
+    if (!resp.ok) throw new Error(`overflow download failed: HTTP ${resp.status}`);
+    return this.open(await resp.text());
+  }
+
+  // Pairing adds e2e keys to config.json while the relay runs. Convex rejects
+  // plaintext as soon as the instance has a public key, so start sealing right away.
+  watchConfig() {
+    try {
+      this.configWatcher = watch(path.dirname(CONFIG_PATH), (event, filename) => {
+        if (filename === path.basename(CONFIG_PATH)) void this.reloadKeys();
+      });
+      this.configWatcher.on("error", (err) => this.log.warn(`config watch failed: ${err.message}`));
+    } catch (err) {
+      // The heartbeat still picks up new keys
+      this.log.warn(`config watch failed: ${err.message}`);
+    }
+  }
+
+  async reloadKeys() {
+    let cfg;
+    try {
+      cfg = JSON.parse(await fs.readFile(CONFIG_PATH, "utf8"));
+    } catch {
+      return; // mid-write or unreadable: the next change or heartbeat retries
+    }
+    if (!hasE2EKeys(cfg) || (this.cipher && cfg.e2eContentKey === this.config.e2eContentKey)) return;
+
+    this.config.e2ePrivateKey = cfg.e2ePrivateKey;
+    this.config.e2ePublicKey = cfg.e2ePublicKey;
+    this.config.e2eContentKey = cfg.e2eContentKey;
+    this.config.e2ePreviousContentKeys = cfg.e2ePreviousContentKeys ?? [];
+    this.cipher = createCipher(this.config);
+    this.sealedCache.clear();
+    this.log.info("loaded e2e keys from config.json");
+    await this.distributeDeviceKeys();
+  }
+
+  // A device was revoked: seal everything from now on with a new content key. The
+  // new key is saved before it's used, and generated once per revoke request even
+  // if telling Convex fails and the next heartbeat asks again.
+  async rotateContentKey(requestedAt) {
+    if (!this.cipher) return;
+
+    try {
+      if (this.keyRotatedFor !== requestedAt) {
+        const cfg = JSON.parse(await fs.readFile(CONFIG_PATH, "utf8"));
+        const rotated = rotateContentKey(this.config);
+        await fs.writeFile(CONFIG_PATH, `${JSON.stringify({ ...cfg, ...rotated }, null, 2)}\n`, "utf8");
+        Object.assign(this.config, rotated);
+        this.cipher = createCipher(this.config);
+        this.sealedCache.clear();
+        this.keyRotatedFor = requestedAt;
+        this.log.info("rotated the e2e content key after a device was revoked");
+      }
+
+      await this.mutation("pairing:rotateContentKey", { requestedAt });
+      await this.distributeDeviceKeys();
+    } catch (err) {
+      if (this.running) this.log.error(`content key rotation failed: ${err.message}`);
+    }
+  }
+
+  async distributeDeviceKeys() {
+    if (!this.cipher) return;
+
+    try {
+      const devices = await this.query("pairing:getDevicesAwaitingKey");
+
+      for (const device of devices ?? []) {
+        await this.mutation("pairing:setDeviceKey", {
+          deviceId: device.deviceId,
+          publicKey: device.publicKey,
+          wrappedKey: wrapContentKey(this.config, device.publicKey),
+          wrappedPreviousKeys: wrapPreviousContentKeys(this.config, device.publicKey),
+        });
+        this.log.info(`sent e2e key to device ${device.deviceId}`);
+      }
+    } catch (err) {
+      if (this.running) this.log.error(`device key distribution failed: ${err.message}`);
+    }
   }
 
   hashGatewayMessage(msg) {
-    return createHash("sha1")
-      .update(`${msg.sessionKey}|${msg.role}|${msg.content}|${msg.timestamp}`)
-      .digest("hex");
+    const identity = msg.keys[0] ?? `${msg.role}|${msg.content}|${msg.timestamp}`;
+    return createHash("sha1").update(`${msg.sessionKey}|${identity}`).digest("hex");
   }
 
   pruneRecentHashes() {
@@ -872,34 +1964,44 @@ class Relay {
       if (this.recentGatewayMessageHashes.has(hash)) continue;
 
       try {
-        await this.convex.mutation("messages:pushFromGateway", {
-          instanceId: this.config.instanceId,
-          sessionKey: msg.sessionKey,
-          role: msg.role,
-          content: msg.content,
-          timestamp: msg.timestamp,
-        });
+        await this.queueGatewayMessage(
+          {
+            sessionKey: msg.sessionKey,
+            role: msg.role,
+            timestamp: msg.timestamp,
+            ...keyFields(msg.keys),
+          },
+          { content: msg.content }
+        );
 
         this.recentGatewayMessageHashes.set(hash, nowMs());
       } catch (err) {
-        if (this.running) console.error(`push gateway message failed: ${err.message}`);
+        if (this.running) this.log.error(`push gateway message failed: ${err.message}`);
       }
     }
   }
 
   async sendHeartbeat() {
     try {
-      await this.convex.mutation("sessions:heartbeat", {
-        instanceId: this.config.instanceId,
-      });
+      const result = await this.mutation("sessions:heartbeat", { outboxDepth: this.outbox.depth });
+      this.lastHeartbeatAt = nowMs();
+      if (result?.contentKeyRotationRequestedAt) await this.rotateContentKey(result.contentKeyRotationRequestedAt);
     } catch (err) {
-      if (this.running) console.error(`heartbeat failed: ${err.message}`);
+      this.metrics.inc("fastclaw_heartbeat_failures_total");
+      if (this.running) this.log.error(`heartbeat failed: ${err.message}`);
     }
   }
 
   async stop() {
     this.running = false;
+    this.configWatcher?.close();
+    clearTimeout(this.appRetryTimer);
+    this.appRetryTimer = null;
+    await this.flushPushes().catch(() => {});
+    this.outbox.stop();
     if (this.conn) await this.conn.close();
+    await this.live.close().catch(() => {});
+    if (this.metricsServer) await new Promise((resolve) => this.metricsServer.close(resolve));
   }
 }
 
@@ -912,10 +2014,11 @@ async function main() {
     );
   }
 
-  const relay = new Relay(config);
+  const log = new Logger(config.logging);
+  const relay = new Relay(config, log);
 
   const shutdown = async (signal) => {
-    console.log(`received ${signal}, shutting down...`);
+    log.info(`received ${signal}, shutting down...`);
     await relay.stop();
   };
 
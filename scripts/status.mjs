@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Check that this relay is set up and can reach the gateway and Convex.
+ * Usage:
+ *   node status.mjs [--json]
+ * Exits with status 1 when any check fails.
+ */
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { ConvexHttpClient } from "convex/browser";
+import { DEFAULT_GATEWAY_URL, GatewayConnection, OPENCLAW_CONFIG_PATH, readGatewayToken } from "./lib/gateway.mjs";
+import { Logger } from "./lib/logger.mjs";
+
+const FASTCLAW_CONFIG_PATH = path.join(os.homedir(), ".openclaw", "fastclaw", "config.json");
+const REQUIRED_FIELDS = ["convexUrl", "instanceId", "relaySecret"];
+const MARKS = { pass: "✓", warn: "!", fail: "✗", skip: "-" };
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toLocaleString() : "never";
+}
+
+async function readConfig() {
+  let raw;
+  try {
+    raw = await fs.readFile(FASTCLAW_CONFIG_PATH, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") throw new Error(`${FASTCLAW_CONFIG_PATH} not found. Run the pair command first.`);
+    throw err;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${FASTCLAW_CONFIG_PATH} is not valid JSON: ${err.message}`);
+  }
+
+  const missing = REQUIRED_FIELDS.filter((field) => !config?.[field]);
+  if (missing.length > 0) {
+    throw new Error(`${FASTCLAW_CONFIG_PATH} is missing ${missing.join(", ")}. Run the pair command again.`);
+  }
+  return config;
+}
+
+async function runChecks() {
+  const checks = [];
+  const record = (name, status, detail) => checks.push({ name, status, detail });
+  const skip = (...names) => names.forEach((name) => record(name, "skip", "skipped"));
+
+  let config;
+  try {
+    config = await readConfig();
+    record("config", "pass", `instance "${config.instanceName ?? os.hostname()}" (${config.instanceId})`);
+  } catch (err) {
+    record("config", "fail", err.message);
+    skip("gateway token", "gateway", "convex", "devices", "pending");
+    return checks;
+  }
+
+  // The relay uses config.json's token; the gateway checks it against its own config
+  let gatewayToken = config.gatewayToken ?? process.env.OPENCLAW_GATEWAY_TOKEN ?? null;
+  try {
+    const expected = await readGatewayToken();
+    if (!expected && !gatewayToken) {
+      record("gateway token", "fail", `No token in config.json, OPENCLAW_GATEWAY_TOKEN or ${OPENCLAW_CONFIG_PATH}`);
+    } else if (!expected) {
+      record("gateway token", "warn", `No token in ${OPENCLAW_CONFIG_PATH} to compare; using config.json's`);
+    } else if (!gatewayToken) {
+      gatewayToken = expected;
+      record("gateway token", "warn", `Not in config.json; the relay reads OPENCLAW_GATEWAY_TOKEN at startup`);
+    } else if (expected !== gatewayToken) {
+      record("gateway token", "fail", `config.json's token doesn't match ${OPENCLAW_CONFIG_PATH}. Run the pair command again.`);
+    } else {
+      record("gateway token", "pass", `matches ${OPENCLAW_CONFIG_PATH}`);
+    }
+  } catch (err) {
+    record("gateway token", "fail", `Couldn't read ${OPENCLAW_CONFIG_PATH}: ${err.message}`);
+  }
+
+  const gatewayUrl = config.gatewayUrl ?? DEFAULT_GATEWAY_URL;
+  if (gatewayToken) {
+    const conn = new GatewayConnection({ ...config, gatewayUrl, gatewayToken }, { log: new Logger({ level: "error" }) });
+    try {
+      await conn.open();
+      record("gateway", "pass", `hello-ok from ${gatewayUrl}, server ${conn.serverVersion}`);
+    } catch (err) {
+      record("gateway", "fail", `${gatewayUrl}: ${err.message}. Is the gateway running? (openclaw gateway status)`);
+    } finally {
+      await conn.close();
+    }
+  } else {
+    skip("gateway");
+  }
+
+  const client = new ConvexHttpClient(config.convexUrl);
+  const auth = { instanceId: config.instanceId, relaySecret: config.relaySecret };
+
+  try {
+    const instance = await client.query("sessions:getInstanceStatus", auth);
+    if (!instance) {
+      record("convex", "fail", `${config.convexUrl} has no instance ${config.instanceId}. Run the pair command again.`);
+    } else if (instance.status !== "online") {
+      record("convex", "warn", `${config.convexUrl} answered; relay offline, last heartbeat ${formatTime(instance.lastSeenAt)}`);
+    } else {
+      const outbox = instance.outboxDepth ? `, ${instance.outboxDepth} writes queued in the outbox` : "";
+      record("convex", "pass", `${config.convexUrl} answered; relay online${outbox}`);
+    }
+  } catch (err) {
+    record("convex", "fail", `${config.convexUrl}: ${err.message}`);
+    skip("devices", "pending");
+    return checks;
+  }
+
+  try {
+    const devices = await client.query("devices:list", auth);
+    const names = devices.map((d) => `${d.name} (last seen ${formatTime(d.lastSeenAt)})`);
+    if (devices.length === 0) record("devices", "warn", "No paired devices");
+    else record("devices", "pass", `${devices.length} paired: ${names.join(", ")}`);
+  } catch (err) {
+    record("devices", "fail", err.message);
+  }
+
+  try {
+    const [unsynced, cronActions] = await Promise.all([
+      client.query("messages:getUnsyncedFromApp", auth),
+      client.query("cronJobs:getPendingActions", auth),
+    ]);
+    record("pending", "pass", `${unsynced.length} app messages not yet forwarded, ${cronActions.length} cron actions queued`);
+  } catch (err) {
+    record("pending", "fail", err.message);
+  }
+
+  return checks;
+}
+
+async function main() {
+  const checks = await runChecks();
+  const ok = checks.every((check) => check.status !== "fail");
+
+  if (process.argv.includes("--json")) {
+    console.log(JSON.stringify({ ok, checks }, null, 2));
+  } else {
+    const width = Math.max(...checks.map((check) => check.name.length));
+    for (const check of checks) {
+      console.log(`${MARKS[check.status]} ${check.name.padEnd(width)}  ${check.detail}`);
+    }
+    console.log(ok ? "\nAll checks passed." : "\nSome checks failed.");
+  }
+
+  if (!ok) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});